@@ -0,0 +1,125 @@
+// Accumulator builder. Legs come from the qualified picks of getAllPicks,
+// at most one per fixture. The strongest ACCA_MAX_FIXTURES fixtures (and
+// their best ACCA_PICKS_PER_FIXTURE picks) are searched exhaustively, so the
+// answer is the best combination on that shortlist rather than a greedy one.
+// Legs are treated as independent, which holds across different fixtures,
+// and only push-free markets (COMBINABLE) are used: a leg that can be void
+// has no single win probability to multiply.
+
+const { COMBINABLE } = require('./markets');
+
+const ACCA_MIN_LEGS = 2;
+const ACCA_MAX_LEGS = 6;
+const ACCA_DEFAULT_LEGS = 4;
+const ACCA_MAX_FIXTURES = 12;
+const ACCA_PICKS_PER_FIXTURE = 2;
+const ACCA_DEFAULT_LIMIT = 5;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// Offered price where a bookmaker quote exists, else the model's fair odds.
+const legOdds = (p) => p.price || p.odds;
+const oddsSource = (p) => p.price ? 'bookmaker' : 'model';
+
+function matchesLeague(pick, list) {
+  return list.some(l => l === String(pick.competition || '').toLowerCase() || l === String(pick.league || '').toLowerCase());
+}
+
+function parseAccumulatorOptions(query = {}) {
+  const num = (v) => v != null && v !== '' ? parseFloat(v) : null;
+  const list = (v) => v ? String(v).split(',').map(s => s.trim().toLowerCase()).filter(Boolean) : [];
+  const options = {
+    targetOdds: num(query.target_odds),
+    minProbability: num(query.min_probability),
+    maxLegs: query.legs != null ? parseInt(query.legs) : ACCA_DEFAULT_LEGS,
+    leagues: list(query.leagues),
+    exclude: list(query.exclude),
+    limit: query.limit != null ? parseInt(query.limit) : ACCA_DEFAULT_LIMIT
+  };
+  if (options.targetOdds != null && !(options.targetOdds > 1)) throw badRequest('target_odds must be above 1');
+  if (options.minProbability != null && !(options.minProbability > 0 && options.minProbability < 1)) throw badRequest('min_probability must be between 0 and 1');
+  if (!(options.maxLegs >= ACCA_MIN_LEGS && options.maxLegs <= ACCA_MAX_LEGS)) throw badRequest('legs must be between ' + ACCA_MIN_LEGS + ' and ' + ACCA_MAX_LEGS);
+  if (!(options.limit >= 1)) throw badRequest('limit must be at least 1');
+  return options;
+}
+
+function describe(legs) {
+  const probability = legs.reduce((s, p) => s * p.probability, 1);
+  const odds = legs.reduce((s, p) => s * legOdds(p), 1);
+  const pricedLegs = legs.filter(p => oddsSource(p) === 'bookmaker').length;
+  const priced = pricedLegs === legs.length;
+  return {
+    legs: legs.length,
+    combined_probability: parseFloat(probability.toFixed(4)),
+    fair_odds: parseFloat((1 / probability).toFixed(2)),
+    // Product of each leg's odds_source odds: bookmaker prices only when
+    // odds_source is 'bookmaker', the model's fair odds only when 'model'.
+    odds: parseFloat(odds.toFixed(2)),
+    odds_source: priced ? 'bookmaker' : pricedLegs === 0 ? 'model' : 'mixed',
+    priced_legs: pricedLegs,
+    fair_legs: legs.length - pricedLegs,
+    priced,
+    expected_value: priced ? parseFloat((probability * odds - 1).toFixed(3)) : null,
+    breakdown: legs.map(p => ({
+      fixture_id: p.fixture_id, match: p.match, league: p.league, date: p.date,
+      market: p.market, marketCode: p.marketCode, selection: p.selection,
+      probability: p.probability, confidence: p.confidence, odds: p.odds, odds_source: oddsSource(p),
+      ...(p.price != null ? { price: p.price, bookmaker: p.bookmaker } : {})
+    }))
+  };
+}
+
+// `picks`: getAllPicks().qualified_picks. Accumulators of 2..maxLegs legs
+// whose odds reach targetOdds and whose probability stays above
+// minProbability, most likely first (best expected value first with
+// rankBy 'ev'). The search only keeps the best `limit` combinations by that
+// score; only those are described.
+function buildAccumulators(picks, { targetOdds = null, minProbability = null, maxLegs = ACCA_DEFAULT_LEGS, leagues = [], exclude = [], limit = ACCA_DEFAULT_LIMIT, rankBy = 'probability' } = {}) {
+  const eligible = picks.filter(p => COMBINABLE.includes(p.marketCode) && p.probability > 0 && legOdds(p) > 1 &&
+    (leagues.length === 0 || matchesLeague(p, leagues)) && !matchesLeague(p, exclude));
+
+  const byFixture = new Map();
+  for (const p of [...eligible].sort((a, b) => b.probability - a.probability)) {
+    const list = byFixture.get(p.fixture_id) || [];
+    if (list.length < ACCA_PICKS_PER_FIXTURE) list.push(p);
+    byFixture.set(p.fixture_id, list);
+  }
+  const fixtures = [...byFixture.values()].sort((a, b) => b[0].probability - a[0].probability).slice(0, ACCA_MAX_FIXTURES);
+
+  // Ranking order (negative when a ranks first); expected value is
+  // probability * odds - 1 whether the odds are priced or fair.
+  const order = rankBy === 'ev'
+    ? (a, b) => (b.probability * b.odds) - (a.probability * a.odds) || b.probability - a.probability
+    : (a, b) => b.probability - a.probability || b.odds - a.odds;
+  const top = [];
+  let combinations = 0;
+  const keep = (candidate) => {
+    combinations++;
+    if (top.length === limit && order(top[top.length - 1], candidate) <= 0) return;
+    let i = top.length;
+    while (i > 0 && order(top[i - 1], candidate) > 0) i--;
+    top.splice(i, 0, candidate);
+    if (top.length > limit) top.pop();
+  };
+  const search = (start, legs, probability, odds) => {
+    if (legs.length >= ACCA_MIN_LEGS && (targetOdds == null || odds >= targetOdds)) keep({ legs, probability, odds });
+    if (legs.length === maxLegs) return;
+    for (let i = start; i < fixtures.length; i++) {
+      for (const p of fixtures[i]) {
+        const next = probability * p.probability;
+        if (minProbability != null && next < minProbability) continue;
+        search(i + 1, [...legs, p], next, odds * legOdds(p));
+      }
+    }
+  };
+  search(0, [], 1, 1);
+
+  return {
+    candidates: eligible.length,
+    fixtures: fixtures.length,
+    combinations,
+    accumulators: top.map((c, i) => ({ rank: i + 1, ...describe(c.legs) }))
+  };
+}
+
+module.exports = { ACCA_MAX_LEGS, parseAccumulatorOptions, buildAccumulators };
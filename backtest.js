@@ -0,0 +1,191 @@
+const { getFinishedFixtures } = require('./fixture_queries');
+const { DECAY_LOOKBACK_DAYS, weightFixtures } = require('./time_decay');
+const { REST_LOOKBACK_DAYS } = require('./rest_days');
+const { LOWER_LEAGUE_LOOKBACK_DAYS, buildTeamStrengths, dixonColesPriors, getLowerLeagueFixtures } = require('./team_priors');
+const { DC_MIN_MATCHES, fitDixonColes } = require('./dixon_coles');
+const { computeEloRatings } = require('./elo_ratings');
+const { buildFormTable } = require('./form_engine');
+const { fixtureOptions } = require('./tournament');
+const { resolveModel } = require('./model_registry');
+const { predictMatch, rankTopPicks, maxPicksFor } = require('./prediction_engine_v2');
+const { MARKETS, OUTCOME_VALUE, settleMarket, settlementProfit } = require('./markets');
+const { getBestOdds } = require('./odds_service');
+
+// Walk-forward backtest. Every FT fixture of the competition is loaded once;
+// each match day is then predicted from a snapshot built only from fixtures
+// that finished before that day started, so no result leaks into its own
+// prediction. Everything comes from the fixtures table.
+
+const EPS = 1e-6;
+
+// What the engine would have known at `asOf`: prior-based team strengths, a
+// Dixon-Coles fit, Elo ratings and recent form, all from `history` (FT fixtures, oldest
+// first, every one before `asOf`, kept for head-to-head lookups) and the
+// league below's `lowerHistory`.
+// `season` names the season being predicted so its first match day already
+// counts as a new season.
+function buildSnapshot(history, competition, asOf, lowerHistory = [], season = null) {
+  const since = new Date(asOf.getTime() - DECAY_LOOKBACK_DAYS * 86400000);
+  const recent = weightFixtures(history.filter(f => new Date(f.match_date) >= since), competition, asOf);
+  const strengths = recent.length > 0 ? buildTeamStrengths(recent, lowerHistory.filter(f => new Date(f.match_date) < asOf), competition, asOf, season) : null;
+  return {
+    asOf,
+    history,
+    strengths,
+    dcModel: recent.length >= DC_MIN_MATCHES ? fitDixonColes(recent, { priors: dixonColesPriors(strengths) }) : null,
+    eloRatings: computeEloRatings(history).ratings,
+    form: buildFormTable(history)
+  };
+}
+
+function newBucket() {
+  return { samples: 0, sumSq: 0, sumLog: 0, picks: 0, settled: 0, won: 0, profit: 0 };
+}
+
+function addSample(bucket, p, result) {
+  if (!(result in OUTCOME_VALUE)) return;
+  const y = OUTCOME_VALUE[result];
+  const q = Math.min(Math.max(p, EPS), 1 - EPS);
+  bucket.samples++;
+  bucket.sumSq += Math.pow(p - y, 2);
+  bucket.sumLog -= y * Math.log(q) + (1 - y) * Math.log(1 - q);
+}
+
+function addPick(bucket, pick) {
+  bucket.picks++;
+  if (!(pick.result in OUTCOME_VALUE)) return;
+  bucket.settled++;
+  bucket.won += OUTCOME_VALUE[pick.result];
+  bucket.profit += pick.profit;
+}
+
+function summarise(b) {
+  const r = (x, d = 4) => parseFloat(x.toFixed(d));
+  return {
+    samples: b.samples,
+    brier: b.samples > 0 ? r(b.sumSq / b.samples) : null,
+    log_loss: b.samples > 0 ? r(b.sumLog / b.samples) : null,
+    picks: b.picks, settled: b.settled,
+    hit_rate: b.settled > 0 ? r(b.won / b.settled * 100, 1) : null,
+    profit: r(b.profit, 2),
+    roi: b.settled > 0 ? r(b.profit / b.settled * 100, 1) : null
+  };
+}
+
+function summariseAll(buckets) {
+  const out = {};
+  for (const [k, b] of Object.entries(buckets)) out[k] = summarise(b);
+  return out;
+}
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Predicts every FT fixture of `season` (or the from/to window) day by day
+// and hands each day's { fixture, prediction } pairs to `onDay`. Bookmaker
+// prices are only those captured before the fixture kicked off. Probabilities
+// are uncalibrated unless `calibrate` applies the current calibration maps.
+async function replaySeason({ competition, season = null, from = null, to = null, model = null, eloWeight = null, rankBy = null, thresholds = null, h2h = null, calibrate = false }, onDay) {
+  if (!competition) throw badRequest('competition is required');
+  const modelInfo = resolveModel(model, competition);
+
+  const fixtures = await getFinishedFixtures({ competition, before: to ? new Date(new Date(to).getTime() + 86400000) : null });
+  const targets = fixtures.filter(f =>
+    (!season || String(f.season) === String(season)) &&
+    (!from || new Date(f.match_date) >= new Date(from)));
+  const lowerHistory = targets.length === 0 ? [] : await getLowerLeagueFixtures(competition, {
+    since: new Date(new Date(targets[0].match_date).getTime() - LOWER_LEAGUE_LOOKBACK_DAYS * 86400000),
+    before: new Date(targets[targets.length - 1].match_date)
+  });
+  // Match dates in every competition, for rest days and congestion.
+  const schedule = targets.length === 0 ? [] : await getFinishedFixtures({
+    since: new Date(new Date(targets[0].match_date).getTime() - REST_LOOKBACK_DAYS * 86400000),
+    before: new Date(new Date(targets[targets.length - 1].match_date).getTime() + 1),
+    columns: 'home_team, away_team, match_date, competition_code, status, home_goals, away_goals'
+  });
+
+  const days = new Map();
+  for (const f of targets) {
+    const day = new Date(f.match_date).toISOString().split('T')[0];
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(f);
+  }
+
+  let cursor = 0;
+  for (const [day, dayFixtures] of days) {
+    const asOf = new Date(day + 'T00:00:00Z');
+    while (cursor < fixtures.length && new Date(fixtures[cursor].match_date) < asOf) cursor++;
+    const snapshot = { ...buildSnapshot(fixtures.slice(0, cursor), competition, asOf, lowerHistory, dayFixtures[0].season), schedule };
+    const options = { model: modelInfo.id, snapshot, asOf, calibrate };
+    if (eloWeight != null) options.eloWeight = eloWeight;
+    if (rankBy) options.rankBy = rankBy;
+    if (thresholds) options.thresholds = thresholds;
+    if (h2h != null) options.h2h = h2h;
+
+    const entries = [];
+    for (const f of dayFixtures) {
+      const odds = (await getBestOdds([f.id], f.match_date))[f.id];
+      entries.push({ fixture: f, prediction: await predictMatch(f.home_team, f.away_team, competition, { ...options, ...fixtureOptions(f), odds }) });
+    }
+    await onDay(day, asOf, entries);
+  }
+
+  const dayList = [...days.keys()];
+  return {
+    model: { id: modelInfo.id, version: modelInfo.version },
+    from: dayList[0] || null, to: dayList[dayList.length - 1] || null,
+    days: dayList.length, fixtures: targets.length
+  };
+}
+
+// Brier score and log-loss are measured over every listed market of every
+// predicted match; hit rate and ROI over each day's top picks, staked at the
+// bookmaker price where one was imported and the published odds otherwise.
+async function runBacktest({ includePicks = false, ...params }) {
+  const byMarket = {};
+  const byConfidence = {};
+  const overall = newBucket();
+  const picks = [];
+  let predicted = 0, skipped = 0;
+
+  const meta = await replaySeason(params, (day, asOf, entries) => {
+    const qualified = [];
+    for (const { fixture: f, prediction: pred } of entries) {
+      if (!pred.all_predictions || pred.all_predictions.length === 0) { skipped++; continue; }
+      predicted++;
+      for (const p of pred.all_predictions) {
+        if (!p.combo && MARKETS[p.marketCode].correctScore) continue; // only the top few are listed
+        const result = settleMarket(p.marketCode, f.home_goals, f.away_goals);
+        addSample(byMarket[p.marketCode] = byMarket[p.marketCode] || newBucket(), p.probability, result);
+        addSample(overall, p.probability, result);
+      }
+      (pred.top_picks || []).forEach(p => {
+        qualified.push({ fixture_id: f.id, match: f.home_team + ' vs ' + f.away_team, league: f.league, date: f.match_date, ...p });
+      });
+    }
+
+    const byId = new Map(entries.map(e => [e.fixture.id, e.fixture]));
+    for (const top of rankTopPicks(qualified, maxPicksFor(asOf).maxTop, params.rankBy)) {
+      const f = byId.get(top.fixture_id);
+      const result = settleMarket(top.marketCode, f.home_goals, f.away_goals);
+      const pick = { ...top, score: f.home_goals + '-' + f.away_goals, result, profit: parseFloat(settlementProfit(result, top.price || top.odds).toFixed(2)) };
+      addPick(byMarket[pick.marketCode] = byMarket[pick.marketCode] || newBucket(), pick);
+      const tier = byConfidence[pick.confidence] = byConfidence[pick.confidence] || newBucket();
+      addPick(tier, pick);
+      addSample(tier, pick.probability, result);
+      addPick(overall, pick);
+      picks.push(pick);
+    }
+  });
+
+  return {
+    competition: params.competition, season: params.season || null, ...meta, predicted, skipped,
+    summary: summarise(overall),
+    by_market: summariseAll(byMarket),
+    by_confidence: summariseAll(byConfidence),
+    ...(includePicks ? { picks } : {})
+  };
+}
+
+module.exports = { buildSnapshot, replaySeason, runBacktest };
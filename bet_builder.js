@@ -0,0 +1,54 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { predictMatch } = require('./prediction_engine_v2');
+const { MARKETS, comboMarket, marketProbability, selectionLabel } = require('./markets');
+const { priceFields, getBestOdds } = require('./odds_service');
+const { fixtureOptions } = require('./tournament');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Bet builder: any push-free markets on one fixture priced as a single bet
+// from the engine's joint score matrix, next to the naive product of the
+// legs so the correlation is visible. Probabilities are the matrix's own
+// (before calibration), the same for the combo and for each leg.
+
+async function priceBetBuilder(fixtureId, markets, { price = null, ...options } = {}) {
+  if (!Array.isArray(markets)) throw Object.assign(new Error('markets must be an array of market codes'), { status: 400 });
+  const cfg = comboMarket(markets);
+  if (price != null && !(parseFloat(price) > 1)) throw Object.assign(new Error('Invalid price: ' + price), { status: 400 });
+  const { data: fixture } = await supabase.from('fixtures').select('*').eq('id', fixtureId).maybeSingle();
+  if (!fixture) throw Object.assign(new Error('Fixture not found'), { status: 404 });
+
+  const pred = await predictMatch(fixture.home_team, fixture.away_team, fixture.competition_code || 'PL', { ...options, ...fixtureOptions(fixture), includeMatrix: true });
+  if (!pred.score_matrix) throw Object.assign(new Error('No prediction for this fixture: ' + pred.reasoning), { status: 422 });
+
+  const matrix = pred.score_matrix;
+  const legs = cfg.legs.map(code => {
+    const p = marketProbability(matrix, MARKETS[code]);
+    return { marketCode: code, market: MARKETS[code].name, selection: selectionLabel(MARKETS[code], fixture.home_team, fixture.away_team), probability: parseFloat(p.toFixed(3)), odds: p > 0 ? parseFloat((1 / p).toFixed(2)) : null };
+  });
+  const joint = marketProbability(matrix, cfg);
+  const independent = cfg.legs.reduce((s, code) => s * marketProbability(matrix, MARKETS[code]), 1);
+  const code = cfg.legs.join(' & ');
+  // a quoted price wins over an imported one for the same combo
+  const quote = price != null ? { price: parseFloat(price), bookmaker: 'quoted' } : ((await getBestOdds([fixture.id]))[fixture.id] || {})[code];
+
+  return {
+    fixture_id: fixture.id, match: fixture.home_team + ' vs ' + fixture.away_team,
+    league: fixture.league, date: fixture.match_date,
+    market: cfg.name, marketCode: code,
+    selection: selectionLabel(cfg, fixture.home_team, fixture.away_team),
+    legs,
+    probability: parseFloat(joint.toFixed(4)),
+    independent_probability: parseFloat(independent.toFixed(4)),
+    correlation: independent > 0 ? parseFloat((joint / independent).toFixed(3)) : null,
+    odds: joint > 0 ? parseFloat((1 / joint).toFixed(2)) : null,
+    ...(joint > 0 ? priceFields(joint, quote) : {}),
+    model: pred.model
+  };
+}
+
+module.exports = { priceBetBuilder };
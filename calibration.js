@@ -0,0 +1,196 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { MARKETS, OUTCOME_VALUE } = require('./markets');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const MIN_CALIBRATION_SAMPLES = 30;
+const ISOTONIC_MIN_SAMPLES = 200; // below this Platt scaling is less noisy
+const CALIBRATION_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+const EPS = 1e-6;
+const PAGE_SIZE = 1000;
+
+let mapCache = null;
+
+const clamp = (p) => Math.min(Math.max(p, EPS), 1 - EPS);
+const logit = (p) => Math.log(clamp(p) / (1 - clamp(p)));
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// Both maps keep the range of probabilities they were fitted on and leave
+// anything outside it unchanged: a map fitted on 55-80% says nothing about
+// a 10% market, and extrapolating its lowest block would turn it into a pick.
+const sampleRange = (samples) => samples.reduce((r, s) => [Math.min(r[0], s.p), Math.max(r[1], s.p)], [1, 0]);
+const outsideRange = (params, p) => Array.isArray(params.range) && (p < params.range[0] || p > params.range[1]);
+
+// Pool-adjacent-violators: the best non-decreasing step fit to the outcomes.
+// Blocks are stored as [meanPrediction, meanOutcome] knots and applied by
+// linear interpolation between them.
+function fitIsotonic(samples) {
+  const sorted = [...samples].sort((a, b) => a.p - b.p);
+  const blocks = [];
+  for (const s of sorted) {
+    blocks.push({ sumP: s.p, sumY: s.y, n: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1], prev = blocks[blocks.length - 2];
+      if (prev.sumY / prev.n <= last.sumY / last.n) break;
+      prev.sumP += last.sumP; prev.sumY += last.sumY; prev.n += last.n;
+      blocks.pop();
+    }
+  }
+  return { knots: blocks.map(b => [b.sumP / b.n, b.sumY / b.n]), range: sampleRange(sorted) };
+}
+
+function applyIsotonic(params, p) {
+  const k = params.knots;
+  if (!k || k.length === 0) return p;
+  if (outsideRange(params, p)) return p;
+  if (p <= k[0][0]) return k[0][1];
+  if (p >= k[k.length - 1][0]) return k[k.length - 1][1];
+  for (let i = 1; i < k.length; i++) {
+    if (p <= k[i][0]) {
+      const t = (p - k[i - 1][0]) / (k[i][0] - k[i - 1][0]);
+      return k[i - 1][1] + t * (k[i][1] - k[i - 1][1]);
+    }
+  }
+  return p;
+}
+
+// Platt scaling on the logit: calibrated = sigmoid(a * logit(p) + b), fitted
+// by Newton-Raphson on the log-loss.
+function fitPlatt(samples, iterations = 50) {
+  let a = 1, b = 0;
+  for (let it = 0; it < iterations; it++) {
+    let ga = 0, gb = 0, haa = 0, hab = 0, hbb = 0;
+    for (const s of samples) {
+      const x = logit(s.p);
+      const q = sigmoid(a * x + b);
+      const w = q * (1 - q);
+      ga += (s.y - q) * x; gb += s.y - q;
+      haa += w * x * x; hab += w * x; hbb += w;
+    }
+    const det = haa * hbb - hab * hab;
+    if (Math.abs(det) < 1e-12) break;
+    const da = (hbb * ga - hab * gb) / det;
+    const db = (haa * gb - hab * ga) / det;
+    a += da; b += db;
+    if (Math.abs(da) < 1e-8 && Math.abs(db) < 1e-8) break;
+  }
+  return { a, b, range: sampleRange(samples) };
+}
+
+function applyPlatt(params, p) {
+  if (outsideRange(params, p)) return p;
+  return sigmoid(params.a * logit(p) + params.b);
+}
+
+function applyCalibration(map, p) {
+  if (!map) return p;
+  if (map.method === 'isotonic') return applyIsotonic(map.params, p);
+  if (map.method === 'platt') return applyPlatt(map.params, p);
+  return p;
+}
+
+function brier(samples, f = (p) => p) {
+  return samples.reduce((s, x) => s + Math.pow(f(x.p) - x.y, 2), 0) / samples.length;
+}
+
+// Every settled market as { market, p, y } where p is the engine's raw
+// probability (the published one for rows stored before raw was kept).
+// Fitting on all markets, not only best picks, covers the whole 0-100%
+// range the maps are applied to.
+async function getSettledSamples({ market = null, since = null } = {}) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase.from('prediction_results')
+      .select('id, market_code, result, probability, raw_probability')
+      .in('result', Object.keys(OUTCOME_VALUE));
+    if (market) query = query.eq('market_code', market);
+    if (since) query = query.gte('created_at', new Date(since).toISOString());
+    const { data, error } = await query.order('id', { ascending: true }).range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows
+    .filter(r => MARKETS[r.market_code])
+    .map(r => ({
+      market: r.market_code,
+      p: parseFloat(r.raw_probability != null ? r.raw_probability : r.probability),
+      y: OUTCOME_VALUE[r.result]
+    }))
+    .filter(s => !isNaN(s.p));
+}
+
+function groupByMarket(samples) {
+  const out = {};
+  for (const s of samples) (out[s.market] = out[s.market] || []).push(s);
+  return out;
+}
+
+async function fitCalibrationMaps({ method = null, market = null } = {}) {
+  const byMarket = groupByMarket(await getSettledSamples({ market }));
+  const fitted = [];
+  const skipped = [];
+  for (const [code, samples] of Object.entries(byMarket)) {
+    if (samples.length < MIN_CALIBRATION_SAMPLES) { skipped.push({ market: code, samples: samples.length }); continue; }
+    const m = method || (samples.length >= ISOTONIC_MIN_SAMPLES ? 'isotonic' : 'platt');
+    const params = m === 'isotonic' ? fitIsotonic(samples) : fitPlatt(samples);
+    const map = { method: m, params };
+    fitted.push({
+      market_code: code, method: m, params, samples: samples.length,
+      brier_before: parseFloat(brier(samples).toFixed(4)),
+      brier_after: parseFloat(brier(samples, p => applyCalibration(map, p)).toFixed(4)),
+      fitted_at: new Date().toISOString()
+    });
+  }
+  if (fitted.length > 0) {
+    const { error } = await supabase.from('calibration_maps').upsert(fitted, { onConflict: 'market_code' });
+    if (error) throw error;
+  }
+  mapCache = null;
+  return { fitted, skipped, min_samples: MIN_CALIBRATION_SAMPLES };
+}
+
+async function getCalibrationMaps() {
+  if (mapCache && Date.now() - mapCache.time < CALIBRATION_CACHE_TTL) return mapCache.maps;
+  const { data, error } = await supabase.from('calibration_maps').select('*');
+  if (error) { console.error('Calibration maps error:', error.message); return {}; }
+  const maps = {};
+  (data || []).forEach(m => { maps[m.market_code] = m; });
+  mapCache = { maps, time: Date.now() };
+  return maps;
+}
+
+async function getReliabilityDiagram({ market = null, buckets = 10, since = null } = {}) {
+  const samples = await getSettledSamples({ market, since });
+  const maps = await getCalibrationMaps();
+  const byMarket = groupByMarket(samples);
+  const markets = {};
+  for (const [code, rows] of Object.entries(byMarket)) {
+    const bins = [];
+    for (let i = 0; i < buckets; i++) bins.push({ from: i / buckets, to: (i + 1) / buckets, count: 0, sumP: 0, sumY: 0, sumCal: 0 });
+    for (const s of rows) {
+      const b = bins[Math.min(Math.floor(s.p * buckets), buckets - 1)];
+      b.count++; b.sumP += s.p; b.sumY += s.y; b.sumCal += applyCalibration(maps[code], s.p);
+    }
+    markets[code] = {
+      samples: rows.length,
+      brier: parseFloat(brier(rows).toFixed(4)),
+      calibration: maps[code] ? { method: maps[code].method, fitted_at: maps[code].fitted_at } : null,
+      buckets: bins.filter(b => b.count > 0).map(b => ({
+        range: b.from.toFixed(2) + '-' + b.to.toFixed(2), count: b.count,
+        predicted: parseFloat((b.sumP / b.count).toFixed(3)),
+        observed: parseFloat((b.sumY / b.count).toFixed(3)),
+        calibrated: parseFloat((b.sumCal / b.count).toFixed(3))
+      }))
+    };
+  }
+  return { buckets, total_samples: samples.length, markets };
+}
+
+module.exports = {
+  fitIsotonic, fitPlatt, applyIsotonic, applyPlatt, applyCalibration, fitCalibrationMaps, getCalibrationMaps, getReliabilityDiagram
+};
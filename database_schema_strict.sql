@@ -3,6 +3,12 @@
 -- ============================================
 
 -- Drop old objects first (clean slate)
+DROP TABLE IF EXISTS market_threshold_audit CASCADE;
+DROP TABLE IF EXISTS market_thresholds CASCADE;
+DROP TABLE IF EXISTS odds CASCADE;
+DROP TABLE IF EXISTS calibration_maps CASCADE;
+DROP TABLE IF EXISTS team_rating_history CASCADE;
+DROP TABLE IF EXISTS team_ratings CASCADE;
 DROP TABLE IF EXISTS prediction_results CASCADE;
 DROP TABLE IF EXISTS predictions CASCADE;
 DROP TABLE IF EXISTS fixtures CASCADE;
@@ -45,6 +51,10 @@ CREATE TABLE team_stats (
   away_avg_goals_against NUMERIC DEFAULT 0,
   form_string TEXT DEFAULT '',
   form_points INTEGER DEFAULT 0,
+  home_form_string TEXT DEFAULT '',
+  home_form_points INTEGER DEFAULT 0,
+  away_form_string TEXT DEFAULT '',
+  away_form_points INTEGER DEFAULT 0,
   data_quality NUMERIC DEFAULT 0,
   crest TEXT,
   created_at TIMESTAMPTZ DEFAULT NOW(),
@@ -69,6 +79,9 @@ CREATE TABLE fixtures (
   competition_code TEXT DEFAULT 'PL',
   matchday INTEGER,
   season TEXT DEFAULT '2025',
+  stage TEXT,
+  group_name TEXT,
+  neutral_venue BOOLEAN,
   created_at TIMESTAMPTZ DEFAULT NOW(),
   updated_at TIMESTAMPTZ DEFAULT NOW(),
   UNIQUE(home_team, away_team, match_date)
@@ -77,32 +90,148 @@ CREATE TABLE fixtures (
 -- ============================================
 -- PREDICTIONS
 -- ============================================
+-- One row per published revision; rows are never updated (see the trigger
+-- below) and none are written after kickoff, so the last revision of a
+-- fixture is the prediction users saw. NO_PICK fixtures have no best_*.
 CREATE TABLE predictions (
   id SERIAL PRIMARY KEY,
   fixture_id INTEGER REFERENCES fixtures(id) ON DELETE CASCADE,
-  best_market TEXT NOT NULL,
+  revision INTEGER NOT NULL DEFAULT 1,
+  status TEXT NOT NULL DEFAULT 'PICK' CHECK (status IN ('PICK', 'NO_PICK')),
+  best_market TEXT,
   best_market_code TEXT,
-  best_probability NUMERIC NOT NULL,
-  confidence TEXT NOT NULL CHECK (confidence IN ('HIGH', 'MEDIUM', 'LOW')),
+  best_probability NUMERIC,
+  best_raw_probability NUMERIC,
+  confidence TEXT CHECK (confidence IN ('HIGH', 'MEDIUM', 'LOW')),
+  top_pick_rank INTEGER,
   all_probabilities JSONB,
+  markets JSONB,
+  model_inputs JSONB,
   reasoning TEXT,
   data_quality INTEGER DEFAULT 0,
   strict_mode BOOLEAN DEFAULT FALSE,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  model_id TEXT,
+  model_version TEXT,
+  best_price NUMERIC,
+  best_bookmaker TEXT,
+  content_hash TEXT,
+  kickoff TIMESTAMPTZ,
+  published_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(fixture_id, revision)
 );
 
 -- ============================================
--- PREDICTION RESULTS (for streak tracking)
+-- PREDICTION RESULTS (every market of the published prediction, settled)
 -- ============================================
 CREATE TABLE prediction_results (
   id SERIAL PRIMARY KEY,
   prediction_id INTEGER REFERENCES predictions(id) ON DELETE CASCADE,
   fixture_id INTEGER REFERENCES fixtures(id) ON DELETE CASCADE,
   market TEXT NOT NULL,
-  result TEXT NOT NULL CHECK (result IN ('WIN', 'LOSS', 'PENDING')),
+  market_code TEXT NOT NULL,
+  result TEXT NOT NULL CHECK (result IN ('WIN', 'HALF_WIN', 'VOID', 'HALF_LOSS', 'LOSS', 'PENDING')),
+  probability NUMERIC,
+  raw_probability NUMERIC,
+  price NUMERIC,
+  odds NUMERIC,
+  is_best BOOLEAN DEFAULT FALSE,
+  qualified BOOLEAN DEFAULT FALSE,
+  confidence TEXT,
+  top_pick_rank INTEGER,
+  competition_code TEXT,
+  kickoff TIMESTAMPTZ,
   home_goals INTEGER,
   away_goals INTEGER,
-  created_at TIMESTAMPTZ DEFAULT NOW()
+  settled_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(prediction_id, market_code)
+);
+
+-- ============================================
+-- ELO RATINGS (one per team, rebuilt from FT fixtures of every competition)
+-- ============================================
+CREATE TABLE team_ratings (
+  id SERIAL PRIMARY KEY,
+  team_name TEXT NOT NULL,
+  competition TEXT NOT NULL,
+  rating NUMERIC NOT NULL DEFAULT 1500,
+  games INTEGER DEFAULT 0,
+  last_fixture_id INTEGER REFERENCES fixtures(id) ON DELETE SET NULL,
+  last_match_date TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(team_name)
+);
+
+CREATE TABLE team_rating_history (
+  id SERIAL PRIMARY KEY,
+  team_name TEXT NOT NULL,
+  competition TEXT NOT NULL,
+  fixture_id INTEGER REFERENCES fixtures(id) ON DELETE CASCADE,
+  match_date TIMESTAMPTZ NOT NULL,
+  opponent TEXT,
+  is_home BOOLEAN,
+  goals_for INTEGER,
+  goals_against INTEGER,
+  rating_before NUMERIC NOT NULL,
+  rating_after NUMERIC NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(team_name, fixture_id)
+);
+
+-- ============================================
+-- CALIBRATION MAPS (fitted from settled picks)
+-- ============================================
+CREATE TABLE calibration_maps (
+  id SERIAL PRIMARY KEY,
+  market_code TEXT NOT NULL UNIQUE,
+  method TEXT NOT NULL CHECK (method IN ('isotonic', 'platt')),
+  params JSONB NOT NULL,
+  samples INTEGER DEFAULT 0,
+  brier_before NUMERIC,
+  brier_after NUMERIC,
+  fitted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- BOOKMAKER ODDS (decimal prices, imported)
+-- ============================================
+CREATE TABLE odds (
+  id SERIAL PRIMARY KEY,
+  fixture_id INTEGER REFERENCES fixtures(id) ON DELETE CASCADE,
+  bookmaker TEXT NOT NULL,
+  market_code TEXT NOT NULL,
+  price NUMERIC NOT NULL CHECK (price > 1),
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(fixture_id, bookmaker, market_code, captured_at)
+);
+
+-- ============================================
+-- MARKET THRESHOLDS (per-competition overrides of the MARKETS constants)
+-- ============================================
+CREATE TABLE market_thresholds (
+  id SERIAL PRIMARY KEY,
+  competition TEXT NOT NULL,
+  market_code TEXT NOT NULL,
+  min_prob NUMERIC CHECK (min_prob >= 0 AND min_prob < 1),
+  strict_bonus NUMERIC CHECK (strict_bonus >= 0 AND strict_bonus < 0.5),
+  medium_prob NUMERIC CHECK (medium_prob >= 0 AND medium_prob < 1),
+  high_prob NUMERIC CHECK (high_prob >= 0 AND high_prob < 1),
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(competition, market_code)
+);
+
+CREATE TABLE market_threshold_audit (
+  id SERIAL PRIMARY KEY,
+  competition TEXT NOT NULL,
+  market_code TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('CREATE', 'UPDATE', 'DELETE')),
+  old_values JSONB,
+  new_values JSONB,
+  changed_by TEXT NOT NULL,
+  changed_at TIMESTAMPTZ DEFAULT NOW()
 );
 
 -- ============================================
@@ -111,11 +240,22 @@ CREATE TABLE prediction_results (
 CREATE INDEX idx_fixtures_date ON fixtures(match_date);
 CREATE INDEX idx_fixtures_status ON fixtures(status);
 CREATE INDEX idx_fixtures_competition ON fixtures(competition_code);
+CREATE INDEX idx_fixtures_group ON fixtures(competition_code, group_name);
 CREATE INDEX idx_team_stats_competition ON team_stats(competition);
 CREATE INDEX idx_predictions_fixture ON predictions(fixture_id);
 CREATE INDEX idx_predictions_confidence ON predictions(confidence);
+CREATE INDEX idx_predictions_model ON predictions(model_id, model_version);
+CREATE INDEX idx_predictions_published ON predictions(published_at);
 CREATE INDEX idx_results_fixture ON prediction_results(fixture_id);
 CREATE INDEX idx_results_date ON prediction_results(created_at);
+CREATE INDEX idx_results_best ON prediction_results(is_best, created_at);
+CREATE INDEX idx_results_kickoff ON prediction_results(kickoff);
+CREATE INDEX idx_ratings_competition ON team_ratings(competition);
+CREATE INDEX idx_rating_history_team ON team_rating_history(team_name, match_date);
+CREATE INDEX idx_rating_history_competition ON team_rating_history(competition);
+CREATE INDEX idx_odds_fixture ON odds(fixture_id, market_code);
+CREATE INDEX idx_odds_captured ON odds(captured_at);
+CREATE INDEX idx_threshold_audit ON market_threshold_audit(competition, market_code, changed_at);
 
 -- ============================================
 -- AUTO-UPDATE TRIGGER
@@ -138,6 +278,27 @@ CREATE TRIGGER team_stats_updated_at
   FOR EACH ROW
   EXECUTE FUNCTION update_updated_at();
 
+-- ============================================
+-- IMMUTABLE PUBLISHED PREDICTIONS
+-- ============================================
+CREATE OR REPLACE FUNCTION predictions_immutable()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    RAISE EXCEPTION 'Published predictions are immutable (fixture %, revision %)', OLD.fixture_id, OLD.revision;
+  END IF;
+  IF NEW.kickoff IS NOT NULL AND NEW.published_at >= NEW.kickoff THEN
+    RAISE EXCEPTION 'Fixture % has kicked off; its prediction is frozen', NEW.fixture_id;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER predictions_immutable
+  BEFORE INSERT OR UPDATE ON predictions
+  FOR EACH ROW
+  EXECUTE FUNCTION predictions_immutable();
+
 -- ============================================
 -- DONE
 -- ============================================
@@ -0,0 +1,239 @@
+const { getWeightedFixtures, effectiveSampleSize, invalidateWeightedFixtures } = require('./time_decay');
+const { getTeamStrengths, dixonColesPriors, invalidateTeamStrengths } = require('./team_priors');
+
+const DC_MIN_MATCHES = 30;
+const DC_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+const RHO_BOUNDS = [-0.2, 0.2];
+
+const modelCache = new Map();
+
+// Dixon & Coles (1997) low-score dependence factor.
+function tau(h, a, lambda, mu, rho) {
+  if (h === 0 && a === 0) return 1 - lambda * mu * rho;
+  if (h === 0 && a === 1) return 1 + lambda * rho;
+  if (h === 1 && a === 0) return 1 + mu * rho;
+  if (h === 1 && a === 1) return 1 - rho;
+  return 1;
+}
+
+function logFactorial(n) {
+  let s = 0;
+  for (let i = 2; i <= n; i++) s += Math.log(i);
+  return s;
+}
+
+function matchLogLikelihood(h, a, lambda, mu, rho) {
+  const t = tau(h, a, lambda, mu, rho);
+  if (t <= 0) return -Infinity;
+  return Math.log(t) + h * Math.log(lambda) - lambda - logFactorial(h) + a * Math.log(mu) - mu - logFactorial(a);
+}
+
+function rhoLogLikelihood(rows, rho) {
+  let ll = 0;
+  for (const r of rows) {
+    if (r.h > 1 || r.a > 1) continue;
+    const t = tau(r.h, r.a, r.lambda, r.mu, rho);
+    if (t <= 0) return -Infinity;
+    ll += r.w * Math.log(t);
+  }
+  return ll;
+}
+
+function goldenSection(f, lo, hi, iterations = 40) {
+  const g = (Math.sqrt(5) - 1) / 2;
+  let c = hi - g * (hi - lo), d = lo + g * (hi - lo);
+  let fc = f(c), fd = f(d);
+  for (let i = 0; i < iterations; i++) {
+    if (fc > fd) { hi = d; d = c; fd = fc; c = hi - g * (hi - lo); fc = f(c); }
+    else { lo = c; c = d; fc = fd; d = lo + g * (hi - lo); fd = f(d); }
+  }
+  return (lo + hi) / 2;
+}
+
+// Fits log-linear strengths: home goals ~ exp(home + attack[home] + defence[away]),
+// away goals ~ exp(attack[away] + defence[home]). A higher defence value means a
+// team concedes more. `ridge` is a weak Gaussian penalty that keeps teams with
+// very few matches from diverging; it pulls toward zero, or toward
+// `priors[team]` ({ attack, defence } as log ratios to the league) when given.
+// Each match's likelihood is scaled by its `weight` (time decay), defaulting to 1.
+function fitDixonColes(matches, options = {}) {
+  const { maxIter = 200, tolerance = 1e-6, ridge = 0.5, priors = null } = options;
+  const rows = matches
+    .filter(m => m.home_goals != null && m.away_goals != null)
+    .map(m => ({ home: m.home_team, away: m.away_team, h: m.home_goals, a: m.away_goals, w: m.weight != null ? m.weight : 1 }))
+    .filter(r => r.w > 0);
+  if (rows.length === 0) return null;
+
+  const teams = {};
+  for (const r of rows) {
+    if (!teams[r.home]) teams[r.home] = { attack: 0, defence: 0, matches: 0, weights: [] };
+    if (!teams[r.away]) teams[r.away] = { attack: 0, defence: 0, matches: 0, weights: [] };
+    teams[r.home].matches++; teams[r.home].weights.push(r.w);
+    teams[r.away].matches++; teams[r.away].weights.push(r.w);
+  }
+  const names = Object.keys(teams);
+  for (const n of names) {
+    teams[n].effective_matches = effectiveSampleSize(teams[n].weights);
+    delete teams[n].weights;
+  }
+
+  const totalHome = rows.reduce((s, r) => s + r.w * r.h, 0);
+  const totalAway = rows.reduce((s, r) => s + r.w * r.a, 0);
+  let home = Math.log(Math.max(totalHome, 1) / Math.max(totalAway, 1));
+
+  // Ridge centres. Prior attacks are centred like the fitted ones, and the
+  // defence centre carries the log of the average away score, which the
+  // defence parameters absorb once attack is centred on zero.
+  const centre = {};
+  for (const n of names) centre[n] = { attack: 0, defence: 0 };
+  if (priors) {
+    const totalWeight = rows.reduce((s, r) => s + r.w, 0);
+    const base = Math.log(Math.max(totalAway, 1e-6) / totalWeight);
+    const known = names.filter(n => priors[n]);
+    const meanPrior = known.length > 0 ? known.reduce((s, n) => s + priors[n].attack, 0) / known.length : 0;
+    for (const n of names) {
+      centre[n] = priors[n]
+        ? { attack: priors[n].attack - meanPrior, defence: base + priors[n].defence + meanPrior }
+        : { attack: 0, defence: base };
+    }
+  }
+  let rho = 0;
+  let prevLl = -Infinity;
+  let iterations = 0;
+  let converged = false;
+
+  const refresh = () => {
+    for (const r of rows) {
+      r.lambda = Math.exp(home + teams[r.home].attack + teams[r.away].defence);
+      r.mu = Math.exp(teams[r.away].attack + teams[r.home].defence);
+    }
+  };
+
+  // One diagonal Newton step per parameter block (attack, defence, home),
+  // refreshing the rates between blocks so each step sees the latest values.
+  const newtonStep = (block) => {
+    refresh();
+    const grad = {}, info = {};
+    for (const n of names) { grad[n] = -ridge * (teams[n][block] - centre[n][block]); info[n] = ridge; }
+    let gHome = 0, iHome = 0;
+    for (const r of rows) {
+      let dl = r.h - r.lambda;
+      let dm = r.a - r.mu;
+      if (r.h === 0 && r.a === 0) {
+        const t = 1 - r.lambda * r.mu * rho;
+        dl -= r.lambda * r.mu * rho / t;
+        dm -= r.lambda * r.mu * rho / t;
+      } else if (r.h === 0 && r.a === 1) {
+        dl += r.lambda * rho / (1 + r.lambda * rho);
+      } else if (r.h === 1 && r.a === 0) {
+        dm += r.mu * rho / (1 + r.mu * rho);
+      }
+      dl *= r.w; dm *= r.w;
+      const il = r.w * r.lambda, im = r.w * r.mu;
+      if (block === 'attack') {
+        grad[r.home] += dl; info[r.home] += il;
+        grad[r.away] += dm; info[r.away] += im;
+      } else if (block === 'defence') {
+        grad[r.away] += dl; info[r.away] += il;
+        grad[r.home] += dm; info[r.home] += im;
+      } else {
+        gHome += dl; iHome += il;
+      }
+    }
+    if (block === 'home') home += gHome / iHome;
+    else for (const n of names) teams[n][block] += grad[n] / info[n];
+  };
+
+  for (; iterations < maxIter; iterations++) {
+    newtonStep('attack');
+    newtonStep('defence');
+    newtonStep('home');
+
+    // Rates only depend on attack + defence, so centre attack on zero and
+    // move the offset into defence to keep the model identifiable.
+    const meanAttack = names.reduce((s, n) => s + teams[n].attack, 0) / names.length;
+    for (const n of names) { teams[n].attack -= meanAttack; teams[n].defence += meanAttack; }
+
+    refresh();
+    rho = goldenSection(x => rhoLogLikelihood(rows, x), RHO_BOUNDS[0], RHO_BOUNDS[1]);
+
+    let ll = 0;
+    for (const r of rows) ll += r.w * matchLogLikelihood(r.h, r.a, r.lambda, r.mu, rho);
+    if (Math.abs(ll - prevLl) < tolerance) { converged = true; prevLl = ll; break; }
+    prevLl = ll;
+  }
+
+  return {
+    teams, home_advantage: home, rho,
+    log_likelihood: prevLl, matches: rows.length,
+    effective_matches: effectiveSampleSize(rows.map(r => r.w)),
+    iterations, converged
+  };
+}
+
+// At a neutral venue the home advantage is shared out evenly, which keeps
+// the expected total roughly where the league has it.
+function expectedGoals(model, homeTeam, awayTeam, minMatches = 1, neutral = false) {
+  const h = model && model.teams[homeTeam];
+  const a = model && model.teams[awayTeam];
+  if (!h || !a || h.matches < minMatches || a.matches < minMatches) return null;
+  const shift = neutral ? model.home_advantage / 2 : 0;
+  return {
+    homeXg: Math.exp(model.home_advantage - shift + h.attack + a.defence),
+    awayXg: Math.exp(shift + a.attack + h.defence)
+  };
+}
+
+function scoreMatrix(lambda, mu, rho = 0, maxGoals = 10) {
+  const homeDist = [], awayDist = [];
+  for (let k = 0; k <= maxGoals; k++) {
+    homeDist.push(Math.exp(k * Math.log(lambda) - lambda - logFactorial(k)));
+    awayDist.push(Math.exp(k * Math.log(mu) - mu - logFactorial(k)));
+  }
+  const matrix = [];
+  let total = 0;
+  for (let h = 0; h <= maxGoals; h++) {
+    matrix.push([]);
+    for (let a = 0; a <= maxGoals; a++) {
+      const p = Math.max(homeDist[h] * awayDist[a] * tau(h, a, lambda, mu, rho), 0);
+      matrix[h].push(p);
+      total += p;
+    }
+  }
+  for (let h = 0; h <= maxGoals; h++) for (let a = 0; a <= maxGoals; a++) matrix[h][a] /= total;
+  return matrix;
+}
+
+// Scales the expected goals behind any score matrix by `homeFactor` and
+// `awayFactor`. For Poisson margins that is exactly multiplying P(h, a) by
+// homeFactor^h * awayFactor^a and renormalising; the low-score correction
+// rides along unchanged.
+function tiltMatrix(matrix, homeFactor, awayFactor) {
+  let total = 0;
+  const tilted = matrix.map((row, h) => row.map((p, a) => {
+    const v = p * Math.pow(homeFactor, h) * Math.pow(awayFactor, a);
+    total += v;
+    return v;
+  }));
+  return tilted.map(row => row.map(p => p / total));
+}
+
+async function getDixonColesModel(competition) {
+  const cached = modelCache.get(competition);
+  if (cached && Date.now() - cached.time < DC_CACHE_TTL) return cached.model;
+
+  const matches = await getWeightedFixtures(competition);
+  const priors = matches && matches.length >= DC_MIN_MATCHES ? dixonColesPriors(await getTeamStrengths(competition)) : null;
+  const model = priors ? fitDixonColes(matches, { priors }) : null;
+  modelCache.set(competition, { model, time: Date.now() });
+  return model;
+}
+
+function invalidateDixonColesModel(competition) {
+  if (competition) modelCache.delete(competition);
+  else modelCache.clear();
+  invalidateWeightedFixtures(competition);
+  invalidateTeamStrengths(competition);
+}
+
+module.exports = { DC_MIN_MATCHES, tau, fitDixonColes, expectedGoals, scoreMatrix, tiltMatrix, getDixonColesModel, invalidateDixonColesModel };
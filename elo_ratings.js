@@ -0,0 +1,191 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { getFinishedFixtures } = require('./fixture_queries');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const ELO_INITIAL = 1500;
+const ELO_K = 20;
+const ELO_HOME_ADVANTAGE = 60;
+const ELO_DRAW_NU = 0.74; // Davidson tie parameter: 27% draws between equal sides
+const ELO_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+const PAGE_SIZE = 1000;
+
+// One rating per team, moved by every FT fixture whatever the competition,
+// so European results carry into league ratings. `competition` on a rating
+// row is only a label: the competition the team has played most.
+
+let ratingCache = null;
+
+// World Football Elo goal-difference multiplier.
+function goalMultiplier(goalDiff) {
+  const n = Math.abs(goalDiff);
+  if (n <= 1) return 1;
+  if (n === 2) return 1.5;
+  return (11 + n) / 8;
+}
+
+function expectedScore(homeRating, awayRating, homeAdvantage = ELO_HOME_ADVANTAGE) {
+  return 1 / (1 + Math.pow(10, (awayRating - homeRating - homeAdvantage) / 400));
+}
+
+// Neutral-venue fixtures (tournaments) carry no home advantage.
+const venueAdvantage = (fixture) => fixture.neutral_venue ? 0 : ELO_HOME_ADVANTAGE;
+
+function eloUpdate(homeRating, awayRating, homeGoals, awayGoals, homeAdvantage = ELO_HOME_ADVANTAGE, k = ELO_K) {
+  const expected = expectedScore(homeRating, awayRating, homeAdvantage);
+  const actual = homeGoals > awayGoals ? 1 : homeGoals === awayGoals ? 0.5 : 0;
+  const delta = k * goalMultiplier(homeGoals - awayGoals) * (actual - expected);
+  return { home: homeRating + delta, away: awayRating - delta, delta };
+}
+
+// Davidson's extension of Bradley-Terry: with r = 10^(gap / 400) the three
+// outcomes are proportional to r, nu * sqrt(r) and 1, so draws get rarer as
+// the rating gap grows without any outcome dropping to zero.
+function eloProbabilities(homeRating, awayRating, homeAdvantage = ELO_HOME_ADVANTAGE) {
+  const r = Math.pow(10, (homeRating + homeAdvantage - awayRating) / 400);
+  const tie = ELO_DRAW_NU * Math.sqrt(r);
+  const total = r + tie + 1;
+  return { home: r / total, draw: tie / total, away: 1 / total };
+}
+
+function historyRow(fixture, team, isHome, before, after) {
+  return {
+    team_name: team, competition: fixture.competition_code, fixture_id: fixture.id,
+    match_date: fixture.match_date, opponent: isHome ? fixture.away_team : fixture.home_team,
+    is_home: isHome,
+    goals_for: isHome ? fixture.home_goals : fixture.away_goals,
+    goals_against: isHome ? fixture.away_goals : fixture.home_goals,
+    rating_before: parseFloat(before.toFixed(2)), rating_after: parseFloat(after.toFixed(2))
+  };
+}
+
+const mostPlayed = (counts) => Object.keys(counts).sort((x, y) => counts[y] - counts[x] || x.localeCompare(y))[0] || null;
+
+// Replays the FT fixtures in date order.
+function computeEloRatings(fixtures, k = ELO_K) {
+  const ratings = {};
+  const history = [];
+  const played = {};
+  for (const f of fixtures) {
+    if (f.home_goals == null || f.away_goals == null) continue;
+    for (const t of [f.home_team, f.away_team]) {
+      if (!ratings[t]) ratings[t] = { rating: ELO_INITIAL, games: 0, last_fixture_id: null, last_match_date: null };
+      played[t] = played[t] || {};
+      played[t][f.competition_code] = (played[t][f.competition_code] || 0) + 1;
+    }
+    const h = ratings[f.home_team], a = ratings[f.away_team];
+    const next = eloUpdate(h.rating, a.rating, f.home_goals, f.away_goals, venueAdvantage(f), k);
+    history.push(historyRow(f, f.home_team, true, h.rating, next.home));
+    history.push(historyRow(f, f.away_team, false, a.rating, next.away));
+    h.rating = next.home; a.rating = next.away;
+    h.games++; a.games++;
+    h.last_fixture_id = a.last_fixture_id = f.id;
+    h.last_match_date = a.last_match_date = f.match_date;
+  }
+  for (const [team, r] of Object.entries(ratings)) r.competition = mostPlayed(played[team]);
+  return { ratings, history };
+}
+
+async function insertChunked(table, rows, chunk = 500) {
+  for (let i = 0; i < rows.length; i += chunk) {
+    const { error } = await supabase.from(table).insert(rows.slice(i, i + chunk));
+    if (error) throw error;
+  }
+}
+
+// Rebuilds every team's rating from all FT fixtures.
+async function rebuildEloRatings() {
+  const fixtures = await getFinishedFixtures();
+  const { ratings, history } = computeEloRatings(fixtures);
+
+  const { error: delHistErr } = await supabase.from('team_rating_history').delete().gte('id', 0);
+  if (delHistErr) throw delHistErr;
+  const { error: delErr } = await supabase.from('team_ratings').delete().gte('id', 0);
+  if (delErr) throw delErr;
+
+  const rows = Object.entries(ratings).map(([team, r]) => ({
+    team_name: team, competition: r.competition, rating: parseFloat(r.rating.toFixed(2)), games: r.games,
+    last_fixture_id: r.last_fixture_id, last_match_date: r.last_match_date,
+    updated_at: new Date().toISOString()
+  }));
+  await insertChunked('team_ratings', rows);
+  await insertChunked('team_rating_history', history);
+
+  ratingCache = null;
+  return { teams: rows.length, matches: history.length / 2 };
+}
+
+// Applies one result on top of the stored ratings. Falls back to a full
+// rebuild if the fixture was already rated (a corrected score) or is older
+// than a team's latest rated match, since Elo has to be replayed in order.
+async function updateEloForFixture(fixture) {
+  if (!fixture || fixture.status !== 'FT' || fixture.home_goals == null || fixture.away_goals == null) return null;
+
+  const { data: done } = await supabase.from('team_rating_history').select('id').eq('fixture_id', fixture.id).limit(1);
+  if (done && done.length > 0) return rebuildEloRatings();
+
+  const { data: current, error } = await supabase.from('team_ratings').select('*')
+    .in('team_name', [fixture.home_team, fixture.away_team]);
+  if (error) throw error;
+  const byTeam = {};
+  (current || []).forEach(r => { byTeam[r.team_name] = r; });
+  const outOfOrder = Object.values(byTeam).some(r => r.last_match_date && new Date(r.last_match_date) > new Date(fixture.match_date));
+  if (outOfOrder) return rebuildEloRatings();
+
+  const h = byTeam[fixture.home_team] || { rating: ELO_INITIAL, games: 0 };
+  const a = byTeam[fixture.away_team] || { rating: ELO_INITIAL, games: 0 };
+  const hr = parseFloat(h.rating), ar = parseFloat(a.rating);
+  const next = eloUpdate(hr, ar, fixture.home_goals, fixture.away_goals, venueAdvantage(fixture));
+  const now = new Date().toISOString();
+
+  // a team keeps its label; a new one is labelled with this competition
+  const label = (r) => r.competition || fixture.competition_code;
+  const { error: upErr } = await supabase.from('team_ratings').upsert([
+    { team_name: fixture.home_team, competition: label(h), rating: parseFloat(next.home.toFixed(2)), games: (h.games || 0) + 1, last_fixture_id: fixture.id, last_match_date: fixture.match_date, updated_at: now },
+    { team_name: fixture.away_team, competition: label(a), rating: parseFloat(next.away.toFixed(2)), games: (a.games || 0) + 1, last_fixture_id: fixture.id, last_match_date: fixture.match_date, updated_at: now }
+  ], { onConflict: 'team_name' });
+  if (upErr) throw upErr;
+  await insertChunked('team_rating_history', [
+    historyRow(fixture, fixture.home_team, true, hr, next.home),
+    historyRow(fixture, fixture.away_team, false, ar, next.away)
+  ]);
+
+  ratingCache = null;
+  return { competition: fixture.competition_code, home: next.home, away: next.away, delta: next.delta };
+}
+
+// Every team's rating; with `competition`, only the teams labelled with it.
+async function getEloRatings(competition = null) {
+  if (!ratingCache || Date.now() - ratingCache.time >= ELO_CACHE_TTL) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await supabase.from('team_ratings').select('*')
+        .order('id', { ascending: true }).range(from, from + PAGE_SIZE - 1);
+      if (error) { console.error('Elo ratings error:', error.message); return null; }
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+    const ratings = {};
+    rows.forEach(r => { ratings[r.team_name] = { rating: parseFloat(r.rating), games: r.games, competition: r.competition, last_match_date: r.last_match_date }; });
+    ratingCache = { ratings, time: Date.now() };
+  }
+  if (!competition) return ratingCache.ratings;
+  return Object.fromEntries(Object.entries(ratingCache.ratings).filter(([, r]) => r.competition === competition));
+}
+
+async function getRatingHistory(teamName, competition = null) {
+  let query = supabase.from('team_rating_history').select('*').eq('team_name', teamName);
+  if (competition) query = query.eq('competition', competition);
+  const { data, error } = await query.order('match_date', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  ELO_INITIAL, ELO_HOME_ADVANTAGE, expectedScore, eloUpdate, eloProbabilities, computeEloRatings,
+  rebuildEloRatings, updateEloForFixture, getEloRatings, getRatingHistory
+};
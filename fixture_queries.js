@@ -0,0 +1,34 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const PAGE_SIZE = 1000; // Supabase caps a single select at 1000 rows
+// Fixtures that will never be played. Anything else that is not FT (NS,
+// TIMED, LIVE, POSTPONED...) is still to be played.
+const CALLED_OFF_STATUSES = ['CANCELLED', 'ABANDONED'];
+
+const isPending = (f) => f.status !== 'FT' && !CALLED_OFF_STATUSES.includes(f.status);
+
+// All FT fixtures matching the filters, oldest first, paged past the row cap.
+async function getFinishedFixtures({ competition = null, since = null, before = null, columns = '*' } = {}) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase.from('fixtures').select(columns).eq('status', 'FT');
+    if (competition) query = Array.isArray(competition) ? query.in('competition_code', competition) : query.eq('competition_code', competition);
+    if (since) query = query.gte('match_date', new Date(since).toISOString());
+    if (before) query = query.lt('match_date', new Date(before).toISOString());
+    const { data, error } = await query
+      .order('match_date', { ascending: true }).order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows.filter(f => f.home_goals != null && f.away_goals != null);
+}
+
+module.exports = { CALLED_OFF_STATUSES, isPending, getFinishedFixtures };
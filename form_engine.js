@@ -0,0 +1,131 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { getFinishedFixtures } = require('./fixture_queries');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Recent form from the fixtures table: last FORM_GAMES results overall, at
+// home and away, written to team_stats (form_string is most recent first,
+// comma separated, as the backfill scripts wrote it). Momentum compares a
+// team's recent points per game with its longer FORM_BASELINE_GAMES run, so
+// it only captures the change the strength ratings have not caught up with.
+
+const FORM_GAMES = parseInt(process.env.FORM_GAMES) || 5;
+const FORM_BASELINE_GAMES = 20;
+const FORM_LOOKBACK_DAYS = 365;
+const MOMENTUM_WEIGHT = process.env.FORM_MOMENTUM_WEIGHT != null ? parseFloat(process.env.FORM_MOMENTUM_WEIGHT) : 0.10;
+const MOMENTUM_MIN_GAMES = 3;
+const FORM_CACHE_TTL = 30 * 60 * 1000; // 30 minutes, cleared on every result
+
+const formCache = new Map();
+
+const POINTS = { W: 3, D: 1, L: 0 };
+const resultOf = (gf, ga) => gf > ga ? 'W' : gf === ga ? 'D' : 'L';
+
+// `games` is newest first: [{ result, gf, ga }].
+function formLine(games) {
+  const points = games.reduce((s, g) => s + POINTS[g.result], 0);
+  return {
+    form_string: games.map(g => g.result).join(','),
+    form_points: points,
+    games: games.length,
+    wins: games.filter(g => g.result === 'W').length,
+    draws: games.filter(g => g.result === 'D').length,
+    losses: games.filter(g => g.result === 'L').length,
+    goals_for: games.reduce((s, g) => s + g.gf, 0),
+    goals_against: games.reduce((s, g) => s + g.ga, 0),
+    clean_sheets: games.filter(g => g.ga === 0).length,
+    ppg: games.length > 0 ? parseFloat((points / games.length).toFixed(2)) : null
+  };
+}
+
+// { team: { overall, home, away, baseline, momentum, last_match_date } } from
+// FT fixtures, oldest first.
+function buildFormTable(fixtures, n = FORM_GAMES) {
+  const games = {};
+  for (let i = fixtures.length - 1; i >= 0; i--) {
+    const f = fixtures[i];
+    if (f.home_goals == null || f.away_goals == null) continue;
+    (games[f.home_team] = games[f.home_team] || []).push({ venue: 'home', date: f.match_date, result: resultOf(f.home_goals, f.away_goals), gf: f.home_goals, ga: f.away_goals });
+    (games[f.away_team] = games[f.away_team] || []).push({ venue: 'away', date: f.match_date, result: resultOf(f.away_goals, f.home_goals), gf: f.away_goals, ga: f.home_goals });
+  }
+  const table = {};
+  for (const [team, list] of Object.entries(games)) {
+    const overall = formLine(list.slice(0, n));
+    const baseline = formLine(list.slice(0, FORM_BASELINE_GAMES));
+    table[team] = {
+      team,
+      overall,
+      home: formLine(list.filter(g => g.venue === 'home').slice(0, n)),
+      away: formLine(list.filter(g => g.venue === 'away').slice(0, n)),
+      baseline: { games: baseline.games, ppg: baseline.ppg },
+      // -1..1: recent points per game minus the longer run, per 3 points
+      momentum: overall.games >= MOMENTUM_MIN_GAMES && baseline.games > overall.games
+        ? parseFloat(((overall.ppg - baseline.ppg) / 3).toFixed(3)) : 0,
+      last_match_date: list[0].date
+    };
+  }
+  return table;
+}
+
+// Scales each side's expected goals by its momentum against the opponent's.
+function momentumAdjustment(homeForm, awayForm, weight = MOMENTUM_WEIGHT) {
+  if (!homeForm || !awayForm || !weight) return null;
+  const diff = homeForm.momentum - awayForm.momentum;
+  if (diff === 0) return null;
+  return {
+    home_momentum: homeForm.momentum, away_momentum: awayForm.momentum,
+    home_factor: Math.exp(weight * diff), away_factor: Math.exp(-weight * diff)
+  };
+}
+
+async function getFormTable(competition) {
+  const cached = formCache.get(competition);
+  if (cached && Date.now() - cached.time < FORM_CACHE_TTL) return cached.table;
+  const since = new Date(Date.now() - FORM_LOOKBACK_DAYS * 86400000);
+  const fixtures = await getFinishedFixtures({ competition, since, columns: 'home_team, away_team, home_goals, away_goals, match_date' });
+  const table = buildFormTable(fixtures);
+  formCache.set(competition, { table, time: Date.now() });
+  return table;
+}
+
+async function getTeamForm(team, competition) {
+  try {
+    return (await getFormTable(competition))[team] || null;
+  } catch (e) { console.error('Form error:', e.message); return null; }
+}
+
+function invalidateForm(competition) {
+  if (competition) formCache.delete(competition);
+  else formCache.clear();
+}
+
+// Recomputes form from fixtures and stores it on team_stats, for `teams` or
+// every team in the competition.
+async function refreshForm(competition, teams = null) {
+  invalidateForm(competition);
+  const table = await getFormTable(competition);
+  const names = teams || Object.keys(table);
+  let updated = 0;
+  for (const name of names) {
+    const form = table[name];
+    if (!form) continue;
+    const { error } = await supabase.from('team_stats').update({
+      form_string: form.overall.form_string, form_points: form.overall.form_points,
+      home_form_string: form.home.form_string, home_form_points: form.home.form_points,
+      away_form_string: form.away.form_string, away_form_points: form.away.form_points,
+      updated_at: new Date().toISOString()
+    }).eq('team_name', name).eq('competition', competition);
+    if (error) console.error('Form update error (' + name + '):', error.message);
+    else updated++;
+  }
+  return { competition, teams: names.length, updated };
+}
+
+module.exports = {
+  FORM_GAMES, MOMENTUM_WEIGHT, buildFormTable, momentumAdjustment,
+  getFormTable, getTeamForm, invalidateForm, refreshForm
+};
@@ -0,0 +1,127 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { decayWeight } = require('./time_decay');
+const { scoreMatrix } = require('./dixon_coles');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const H2H_DEFAULT_LIMIT = 10;
+const H2H_MAX_WEIGHT = parseFloat(process.env.H2H_WEIGHT) || 0.25; // most the meetings can move the matrix
+const H2H_PRIOR_MEETINGS = 4;    // weighted meetings needed for half the max weight
+const H2H_HALF_LIFE_DAYS = 730;
+const H2H_REVERSE_VENUE_WEIGHT = 0.5; // meetings at the other ground count half
+const H2H_ENABLED = process.env.H2H_ADJUSTMENT === 'true';
+
+const rate = (n, d) => d > 0 ? parseFloat((n / d * 100).toFixed(1)) : 0;
+const avg = (n, d) => d > 0 ? parseFloat((n / d).toFixed(2)) : 0;
+
+// Meetings between the two sides, most recent first, from `home`'s point of
+// view: `gf`/`ga` are home's goals for and against whatever the venue.
+function meetingsFrom(fixtures, home, away) {
+  return fixtures
+    .filter(f => f.home_goals != null && f.away_goals != null &&
+      ((f.home_team === home && f.away_team === away) || (f.home_team === away && f.away_team === home)))
+    .map(f => {
+      const atHome = f.home_team === home;
+      return {
+        fixture_id: f.id, date: f.match_date, competition: f.competition_code,
+        home_team: f.home_team, away_team: f.away_team,
+        score: f.home_goals + '-' + f.away_goals,
+        venue: atHome ? 'home' : 'away',
+        gf: atHome ? f.home_goals : f.away_goals,
+        ga: atHome ? f.away_goals : f.home_goals
+      };
+    })
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+function splitSummary(meetings) {
+  const n = meetings.length;
+  const sum = (fn) => meetings.reduce((s, m) => s + (fn(m) ? 1 : 0), 0);
+  const gf = meetings.reduce((s, m) => s + m.gf, 0);
+  const ga = meetings.reduce((s, m) => s + m.ga, 0);
+  return {
+    meetings: n,
+    wins: sum(m => m.gf > m.ga), draws: sum(m => m.gf === m.ga), losses: sum(m => m.gf < m.ga),
+    avg_goals_for: avg(gf, n), avg_goals_against: avg(ga, n), avg_total_goals: avg(gf + ga, n),
+    btts_rate: rate(sum(m => m.gf > 0 && m.ga > 0), n),
+    over_15_rate: rate(sum(m => m.gf + m.ga > 1.5), n),
+    over_25_rate: rate(sum(m => m.gf + m.ga > 2.5), n),
+    over_35_rate: rate(sum(m => m.gf + m.ga > 3.5), n),
+    clean_sheet_rate: rate(sum(m => m.ga === 0), n)
+  };
+}
+
+function summarise(home, away, meetings) {
+  return {
+    home, away,
+    ...splitSummary(meetings),
+    venues: {
+      [home + ' at home']: splitSummary(meetings.filter(m => m.venue === 'home')),
+      [away + ' at home']: splitSummary(meetings.filter(m => m.venue === 'away'))
+    },
+    results: meetings
+  };
+}
+
+async function fetchMeetings(home, away, { competition = null, before = null } = {}) {
+  const rows = [];
+  for (const [h, a] of [[home, away], [away, home]]) {
+    let query = supabase.from('fixtures').select('*').eq('status', 'FT').eq('home_team', h).eq('away_team', a);
+    if (competition) query = query.eq('competition_code', competition);
+    if (before) query = query.lt('match_date', new Date(before).toISOString());
+    const { data, error } = await query.order('match_date', { ascending: false });
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return meetingsFrom(rows, home, away);
+}
+
+async function getHeadToHead(home, away, { limit = H2H_DEFAULT_LIMIT, competition = null } = {}) {
+  const meetings = await fetchMeetings(home, away, { competition });
+  return summarise(home, away, meetings.slice(0, limit));
+}
+
+// Goal rates from past meetings, weighted by age and venue, and how much
+// they are allowed to move the prediction: H2H_MAX_WEIGHT scaled by
+// weighted meetings / (weighted meetings + H2H_PRIOR_MEETINGS).
+function h2hAdjustment(meetings, asOf = new Date()) {
+  let w = 0, gf = 0, ga = 0;
+  const recent = meetings.slice(0, H2H_DEFAULT_LIMIT);
+  for (const m of recent) {
+    const mw = decayWeight(m.date, asOf, H2H_HALF_LIFE_DAYS) * (m.venue === 'home' ? 1 : H2H_REVERSE_VENUE_WEIGHT);
+    w += mw; gf += mw * m.gf; ga += mw * m.ga;
+  }
+  if (w === 0) return null;
+  return {
+    meetings: recent.length,
+    weighted_meetings: parseFloat(w.toFixed(2)),
+    home_goals: gf / w, away_goals: ga / w,
+    weight: H2H_MAX_WEIGHT * w / (w + H2H_PRIOR_MEETINGS),
+    record: splitSummary(recent)
+  };
+}
+
+// Mixes the model's score matrix with one built from the H2H goal rates.
+function applyH2H(matrix, adj, rho = 0) {
+  const h2h = scoreMatrix(Math.max(adj.home_goals, 0.05), Math.max(adj.away_goals, 0.05), rho, matrix.length - 1);
+  return matrix.map((row, h) => row.map((p, a) => (1 - adj.weight) * p + adj.weight * h2h[h][a]));
+}
+
+// The adjustment for predictMatch. Backtest snapshots carry their own
+// history so no meeting after `asOf` is seen.
+async function getH2HAdjustment(home, away, { snapshot = null } = {}) {
+  try {
+    const meetings = snapshot && snapshot.history
+      ? meetingsFrom(snapshot.history, home, away)
+      : await fetchMeetings(home, away);
+    return h2hAdjustment(meetings, snapshot ? snapshot.asOf : new Date());
+  } catch (e) { console.error('H2H error:', e.message); return null; }
+}
+
+module.exports = {
+  H2H_ENABLED, meetingsFrom, summarise, getHeadToHead, h2hAdjustment, applyH2H, getH2HAdjustment
+};
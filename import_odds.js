@@ -0,0 +1,26 @@
+const fs = require('fs');
+const { importOdds } = require('./odds_service');
+require('dotenv').config();
+
+// Usage: node import_odds.js FILE.csv|FILE.json
+// Columns: fixture_id (or home_team, away_team, match_date), bookmaker,
+// market_code (or market name), price, captured_at (optional).
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.log('Usage: node import_odds.js FILE.csv|FILE.json');
+    process.exit(1);
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  const input = file.toLowerCase().endsWith('.json') ? JSON.parse(text) : text;
+
+  console.log(`=== IMPORTING ODDS FROM ${file} ===\n`);
+  const result = await importOdds(Array.isArray(input) || typeof input === 'string' ? input : input.rows);
+  console.log(`   ✅ Imported ${result.imported} of ${result.received} rows`);
+  result.rejected.forEach(r => console.log(`   ❌ Row ${r.row}: ${r.error}`));
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
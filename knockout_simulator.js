@@ -0,0 +1,453 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { predictMatch } = require('./prediction_engine_v2');
+const { scoreMatrix } = require('./dixon_coles');
+const { fixtureOptions, defaultNeutral, GROUP_QUALIFIERS } = require('./tournament');
+const { isPending } = require('./fixture_queries');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Tournament simulator. A tie is priced exactly from the engine's score
+// matrices: one or two legs on aggregate, away goals where the competition
+// uses them (also in extra time), then extra time at a third of the last
+// leg's expected goals, then penalties as a coin toss. The bracket is played
+// out many times from the current state: remaining group (or league-phase)
+// fixtures are sampled and ranked with the competition's tiebreakers, drawn
+// ties come from the fixtures table and undrawn rounds are drawn at random
+// (real brackets pair fixed slots, so paths are approximate while the
+// progression odds of each side are not far off).
+
+const KNOCKOUT_RUNS = parseInt(process.env.KNOCKOUT_RUNS) || 10000;
+const MAX_KNOCKOUT_RUNS = 50000;
+const EXTRA_TIME_SHARE = 1 / 3;   // 30 of 90 minutes
+const PENALTY_WIN = 0.5;
+const ROUND_SIZE = { PLAYOFFS: 16, LAST_32: 32, LAST_16: 16, QUARTER_FINALS: 8, SEMI_FINALS: 4, FINAL: 2 };
+
+// `legs` applies to every round but the final. League phase: places 1..direct
+// go straight to the round after PLAYOFFS, direct+1..playoff into PLAYOFFS.
+const FORMATS = {
+  'WC': { legs: 1, away_goals: false, tiebreak: 'overall', best_thirds: 8, rounds: ['LAST_32', 'LAST_16', 'QUARTER_FINALS', 'SEMI_FINALS', 'FINAL'] },
+  'EC': { legs: 1, away_goals: false, tiebreak: 'head-to-head', best_thirds: 4, rounds: ['LAST_16', 'QUARTER_FINALS', 'SEMI_FINALS', 'FINAL'] },
+  'CL': { legs: 2, away_goals: false, tiebreak: 'head-to-head', best_thirds: 0, league_direct: 8, league_playoff: 24, rounds: ['PLAYOFFS', 'LAST_16', 'QUARTER_FINALS', 'SEMI_FINALS', 'FINAL'] },
+  'EL': { legs: 2, away_goals: false, tiebreak: 'head-to-head', best_thirds: 0, league_direct: 8, league_playoff: 24, rounds: ['PLAYOFFS', 'LAST_16', 'QUARTER_FINALS', 'SEMI_FINALS', 'FINAL'] }
+};
+
+const knockoutCache = new Map();
+
+const pct = (n, d) => parseFloat((n / d * 100).toFixed(1));
+const legsFor = (format, round) => round === 'FINAL' ? 1 : format.legs;
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+function cells(matrix) {
+  const out = [];
+  for (let h = 0; h < matrix.length; h++) for (let a = 0; a < matrix[h].length; a++) if (matrix[h][a] > 1e-9) out.push({ h, a, p: matrix[h][a] });
+  return out;
+}
+
+// Extra time: the leg's expected goals from its matrix margins, scaled down.
+function extraTimeMatrix(matrix) {
+  let xh = 0, xa = 0;
+  for (const { h, a, p } of cells(matrix)) { xh += h * p; xa += a * p; }
+  return scoreMatrix(Math.max(xh * EXTRA_TIME_SHARE, 0.01), Math.max(xa * EXTRA_TIME_SHARE, 0.01));
+}
+
+// `legs`: [{ home_team, away_team, matrix, result: [hg, ag] | null }] in
+// playing order; "home" in the answer is the first leg's home side. A
+// played last leg that ended level already included extra time.
+function tieProbability(legs, { awayGoals = false } = {}) {
+  const A = legs[0].home_team;
+  const twoLegs = legs.length === 2;
+  const useAway = awayGoals && twoLegs;
+  const outcomes = (leg) => leg.result ? [{ h: leg.result[0], a: leg.result[1], p: 1 }] : cells(leg.matrix);
+  const decided = { regulation: 0, away_goals: 0, extra_time: 0, penalties: 0 };
+  let pA = 0, pLevel = 0;
+
+  const score = (list) => {
+    // aggregate and away goals from A's side
+    let diff = 0, away = 0, total = 1;
+    for (const { leg, o } of list) {
+      const forA = leg.home_team === A ? o.h - o.a : o.a - o.h;
+      diff += forA;
+      if (useAway) away += leg.home_team === A ? -o.a : o.a;
+      total *= o.p;
+    }
+    if (diff !== 0) { decided.regulation += total; if (diff > 0) pA += total; }
+    else if (away !== 0) { decided.away_goals += total; if (away > 0) pA += total; }
+    else pLevel += total;
+  };
+  if (twoLegs) {
+    const first = outcomes(legs[0]);
+    for (const o2 of outcomes(legs[1])) for (const o1 of first) score([{ leg: legs[0], o: o1 }, { leg: legs[1], o: o2 }]);
+  } else {
+    for (const o of outcomes(legs[0])) score([{ leg: legs[0], o }]);
+  }
+
+  const last = legs[legs.length - 1];
+  if (pLevel > 0 && !last.result) {
+    // extra time at the last leg's ground; away goals in it still count
+    let etA = 0, etLevel = 0;
+    for (const { h, a, p } of cells(extraTimeMatrix(last.matrix))) {
+      const forA = last.home_team === A ? h - a : a - h;
+      if (forA !== 0) { if (forA > 0) etA += p; }
+      else if (useAway && h > 0) { if (last.away_team === A) etA += p; }
+      else etLevel += p;
+    }
+    decided.extra_time = pLevel * (1 - etLevel);
+    decided.penalties = pLevel * etLevel;
+    pA += pLevel * etA + pLevel * etLevel * PENALTY_WIN;
+  } else {
+    decided.penalties = pLevel;
+    pA += pLevel * PENALTY_WIN;
+  }
+
+  const round3 = (x) => parseFloat(x.toFixed(3));
+  return {
+    home_team: A, away_team: legs[0].away_team, legs: legs.length, away_goals: useAway,
+    home_qualify: round3(pA), away_qualify: round3(1 - pA),
+    decided: Object.fromEntries(Object.entries(decided).map(([k, v]) => [k, round3(v)]))
+  };
+}
+
+function addResult(row, gf, ga) {
+  row.played++;
+  row.points += gf > ga ? 3 : gf === ga ? 1 : 0;
+  row.goals_for += gf;
+  row.goals_against += ga;
+}
+
+function tableOf(teams, results) {
+  const table = {};
+  for (const t of teams) table[t] = { team: t, played: 0, points: 0, goals_for: 0, goals_against: 0 };
+  for (const r of results) {
+    if (!table[r.home_team] || !table[r.away_team]) continue;
+    addResult(table[r.home_team], r.hg, r.ag);
+    addResult(table[r.away_team], r.ag, r.hg);
+  }
+  return table;
+}
+
+// Ranked table rows. 'overall' (FIFA): points, goal difference, goals, then
+// the results between the tied sides. 'head-to-head' (UEFA): points, then
+// the mini-table between the tied sides, then overall goal difference and
+// goals. Anything still level is drawn by lot.
+function rankGroup(teams, results, tiebreak = 'overall', random = Math.random) {
+  const table = tableOf(teams, results);
+  const gd = (r) => r.goals_for - r.goals_against;
+  const lot = Object.fromEntries(teams.map(t => [t, random()]));
+  const miniFor = (tied) => tableOf(tied, results.filter(r => tied.includes(r.home_team) && tied.includes(r.away_team)));
+  const byPoints = {};
+  for (const t of teams) (byPoints[table[t].points] = byPoints[table[t].points] || []).push(t);
+  const mini = {};
+  for (const tied of Object.values(byPoints)) {
+    const m = tied.length > 1 ? miniFor(tied) : null;
+    for (const t of tied) mini[t] = m ? m[t] : null;
+  }
+  const headToHead = (x, y) => mini[x] && mini[y]
+    ? mini[y].points - mini[x].points || gd(mini[y]) - gd(mini[x]) || mini[y].goals_for - mini[x].goals_for : 0;
+  const overall = (x, y) => gd(table[y]) - gd(table[x]) || table[y].goals_for - table[x].goals_for;
+  return [...teams].sort((x, y) => table[y].points - table[x].points ||
+    (tiebreak === 'head-to-head' ? headToHead(x, y) || overall(x, y) : overall(x, y) || headToHead(x, y)) ||
+    lot[y] - lot[x]).map(t => table[t]);
+}
+
+function samplerFor(matrix) {
+  const list = cells(matrix);
+  const total = list.reduce((s, c) => s + c.p, 0);
+  return (u) => {
+    let x = u * total;
+    for (const c of list) { x -= c.p; if (x <= 0) return [c.h, c.a]; }
+    const c = list[list.length - 1];
+    return [c.h, c.a];
+  };
+}
+
+function shuffle(list, random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Pairs the entrants not already in a drawn tie. PLAYOFFS are seeded by
+// league position (best v worst); when the round mixes seeded direct
+// entrants with an equal number of winners, each seed meets a winner;
+// otherwise the draw is open. The first name hosts the first leg.
+function drawRound(round, open, seeds, random) {
+  if (round === 'PLAYOFFS') {
+    const bySeed = [...open].sort((x, y) => (seeds.get(x) || 99) - (seeds.get(y) || 99));
+    const pairs = [];
+    for (let i = 0; i < bySeed.length / 2; i++) pairs.push([bySeed[bySeed.length - 1 - i], bySeed[i]]);
+    return pairs;
+  }
+  const seeded = open.filter(t => seeds.get(t) === 'direct');
+  const rest = open.filter(t => seeds.get(t) !== 'direct');
+  if (seeded.length > 0 && seeded.length === rest.length) {
+    const drawn = shuffle(rest, random);
+    return shuffle(seeded, random).map((t, i) => [drawn[i], t]);
+  }
+  const drawn = shuffle(open, random);
+  const pairs = [];
+  for (let i = 0; i + 1 < drawn.length; i += 2) pairs.push([drawn[i], drawn[i + 1]]);
+  return pairs;
+}
+
+// Score matrices from predictMatch, memoised per (home, away, round).
+// Hypothetical ties have no date, so the rest adjustment is off for them.
+function makePricer(competition, format, season) {
+  const matrices = new Map();
+  const ties = new Map();
+  const matrixFor = (home, away, round, fixture = null) => {
+    const key = home + '|' + away + '|' + round;
+    if (!matrices.has(key)) {
+      const options = fixture
+        ? { ...fixtureOptions(fixture), includeMatrix: true }
+        : { neutral: defaultNeutral(competition, home, round), stage: round, season, restStrength: 0, includeMatrix: true };
+      matrices.set(key, predictMatch(home, away, competition, options)
+        .then(p => p.score_matrix || scoreMatrix(1.3, 1.1))
+        .catch(e => { console.error('Knockout predict error (' + home + ' v ' + away + '):', e.message); return scoreMatrix(1.3, 1.1); }));
+    }
+    return matrices.get(key);
+  };
+  // `fixtures`: the tie's rows in playing order, or none for a drawn-at-random tie
+  const tieFor = async (first, second, round, fixtures = []) => {
+    const key = first + '|' + second + '|' + round;
+    if (!ties.has(key)) {
+      const legs = [];
+      const venues = legsFor(format, round) === 2 ? [[first, second], [second, first]] : [[first, second]];
+      for (let i = 0; i < venues.length; i++) {
+        const f = fixtures[i] || null;
+        const [home, away] = f ? [f.home_team, f.away_team] : venues[i];
+        const played = f && f.status === 'FT' && f.home_goals != null;
+        legs.push({ home_team: home, away_team: away, result: played ? [f.home_goals, f.away_goals] : null, matrix: played ? null : await matrixFor(home, away, round, f) });
+      }
+      ties.set(key, tieProbability(legs, { awayGoals: format.away_goals }));
+    }
+    return ties.get(key);
+  };
+  return { matrixFor, tieFor };
+}
+
+// Fixtures of the season split into the first phase (groups, or one league
+// table) and knockout ties per round.
+function tournamentState(fixtures, format) {
+  const valid = fixtures.filter(f => f.home_team && f.away_team);
+  const isRound = (f) => format.rounds.includes(f.stage);
+  const groups = {};
+  for (const f of valid) {
+    if (isRound(f)) continue;
+    const name = f.group_name || (f.stage === 'LEAGUE_STAGE' ? 'LEAGUE' : null);
+    if (!name) continue;
+    (groups[name] = groups[name] || []).push(f);
+  }
+  const knockout = {};
+  for (const round of format.rounds) {
+    const byPair = {};
+    for (const f of valid.filter(x => x.stage === round)) (byPair[pairKey(f.home_team, f.away_team)] = byPair[pairKey(f.home_team, f.away_team)] || []).push(f);
+    const ties = Object.values(byPair).map(list => list.sort((a, b) => new Date(a.match_date) - new Date(b.match_date)));
+    if (ties.length > 0) knockout[round] = ties;
+  }
+  // a side listed in a later round has come through every earlier one
+  const reached = {};
+  for (const [i, round] of format.rounds.entries()) {
+    for (const later of format.rounds.slice(i + 1)) {
+      for (const tie of knockout[later] || []) for (const f of tie) (reached[round] = reached[round] || new Set()).add(f.home_team).add(f.away_team);
+    }
+  }
+  return { groups, knockout, reached };
+}
+
+async function simulateTournament(competition, fixtures, { runs = KNOCKOUT_RUNS, season = null, random = Math.random } = {}) {
+  const format = FORMATS[competition];
+  const { groups, knockout, reached } = tournamentState(fixtures, format);
+  const pricer = makePricer(competition, format, season);
+  const startRound = format.rounds.find(r => knockout[r]) || null;
+  const isLeaguePhase = !!groups.LEAGUE;
+
+  // first phase: played results fixed, pending fixtures sampled per run
+  const phase = [];
+  for (const [name, list] of Object.entries(groups)) {
+    const teams = [...new Set(list.flatMap(f => [f.home_team, f.away_team]))];
+    const played = list.filter(f => f.status === 'FT' && f.home_goals != null).map(f => ({ home_team: f.home_team, away_team: f.away_team, hg: f.home_goals, ag: f.away_goals }));
+    const pending = [];
+    for (const f of list.filter(isPending)) {
+      pending.push({ home_team: f.home_team, away_team: f.away_team, sample: samplerFor(await pricer.matrixFor(f.home_team, f.away_team, f.stage || 'GROUP_STAGE', f)) });
+    }
+    phase.push({ name, teams, played, pending });
+  }
+  const entryRound = isLeaguePhase ? 'PLAYOFFS'
+    : format.rounds.find(r => ROUND_SIZE[r] === phase.length * (GROUP_QUALIFIERS[competition] || 2) + format.best_thirds) || format.rounds[0];
+  if (phase.length === 0 && !startRound) {
+    const err = new Error('No fixtures for ' + competition);
+    err.status = 404;
+    throw err;
+  }
+
+  const teams = [...new Set([...phase.flatMap(g => g.teams), ...Object.values(knockout).flat(2).flatMap(f => [f.home_team, f.away_team])])];
+  const reach = Object.fromEntries(teams.map(t => [t, Object.fromEntries([...format.rounds, 'WINNER'].map(r => [r, 0]))]));
+  const groupWinner = Object.fromEntries(teams.map(t => [t, 0]));
+  const groupOf = {};
+  for (const g of phase) for (const t of g.teams) groupOf[t] = g.name;
+
+  for (let run = 0; run < runs; run++) {
+    // direct entrants per round, and seeds for the draw
+    const direct = {};
+    const seeds = new Map();
+    const enter = (round, team, seed) => { (direct[round] = direct[round] || []).push(team); seeds.set(team, seed); };
+    const thirds = [];
+    for (const g of phase) {
+      const results = [...g.played];
+      for (const p of g.pending) {
+        const [hg, ag] = p.sample(random());
+        results.push({ home_team: p.home_team, away_team: p.away_team, hg, ag });
+      }
+      const ranked = rankGroup(g.teams, results, isLeaguePhase ? 'overall' : format.tiebreak, random);
+      groupWinner[ranked[0].team]++;
+      if (isLeaguePhase) {
+        ranked.forEach((r, i) => {
+          if (i < format.league_direct) enter(format.rounds[format.rounds.indexOf('PLAYOFFS') + 1], r.team, 'direct');
+          else if (i < format.league_playoff) enter('PLAYOFFS', r.team, i + 1);
+        });
+      } else {
+        const q = GROUP_QUALIFIERS[competition] || 2;
+        ranked.slice(0, q).forEach((r, i) => enter(entryRound, r.team, i === 0 ? 'direct' : 'group'));
+        if (ranked[q]) thirds.push(ranked[q]);
+      }
+    }
+    thirds.sort((x, y) => y.points - x.points || (y.goals_for - y.goals_against) - (x.goals_for - x.goals_against) || y.goals_for - x.goals_for || random() - 0.5)
+      .slice(0, format.best_thirds).forEach(r => enter(entryRound, r.team, 'group'));
+
+    let winners = [];
+    for (const round of format.rounds.slice(format.rounds.indexOf(startRound || entryRound))) {
+      let entrants = [...new Set([...(direct[round] || []), ...winners])];
+      const drawn = (knockout[round] || []).filter(tie => round === startRound || tie.every(f => entrants.includes(f.home_team) && entrants.includes(f.away_team)));
+      const inDrawn = new Set(drawn.flatMap(tie => [tie[0].home_team, tie[0].away_team]));
+      if (round === startRound) {
+        // the first drawn round is taken as listed, topped up from the first
+        // phase while its draw is incomplete
+        entrants = [...inDrawn, ...entrants.filter(t => !inDrawn.has(t))].slice(0, Math.max(ROUND_SIZE[round], inDrawn.size));
+      }
+      for (const t of entrants) if (reach[t]) reach[t][round]++;
+
+      const ties = drawn.map(tie => ({ first: tie[0].home_team, second: tie[0].away_team, fixtures: tie }));
+      for (const [first, second] of drawRound(round, entrants.filter(t => !inDrawn.has(t)), seeds, random)) ties.push({ first, second, fixtures: [] });
+      // an odd side out (incomplete data) gets a bye
+      const paired = new Set(ties.flatMap(t => [t.first, t.second]));
+      winners = entrants.filter(t => !paired.has(t));
+      for (const tie of ties) {
+        const through = reached[round];
+        let firstWins;
+        if (through && through.has(tie.first)) firstWins = true;
+        else if (through && through.has(tie.second)) firstWins = false;
+        else firstWins = random() < (await pricer.tieFor(tie.first, tie.second, round, tie.fixtures)).home_qualify;
+        winners.push(firstWins ? tie.first : tie.second);
+      }
+    }
+    if (winners.length === 1) reach[winners[0]].WINNER++;
+  }
+
+  const rounds = [...format.rounds.slice(format.rounds.indexOf(startRound || entryRound)), 'WINNER'];
+  const rows = teams.map(t => ({
+    team: t,
+    group: groupOf[t] || null,
+    ...(phase.length > 0 ? { group_winner: pct(groupWinner[t], runs) } : {}),
+    reach: Object.fromEntries(rounds.map(r => [r, pct(reach[t][r], runs)])),
+    final: pct(reach[t].FINAL, runs),
+    winner: pct(reach[t].WINNER, runs)
+  }));
+  return {
+    start_round: startRound || entryRound,
+    first_phase: phase.length === 0 ? null : isLeaguePhase ? 'league' : 'groups',
+    rounds,
+    teams: rows.sort((a, b) => b.winner - a.winner || b.final - a.final || a.team.localeCompare(b.team))
+  };
+}
+
+async function latestSeason(competition) {
+  const { data, error } = await supabase.from('fixtures').select('season')
+    .eq('competition_code', competition).order('match_date', { ascending: false }).limit(1);
+  if (error) throw error;
+  return data && data.length > 0 ? data[0].season : null;
+}
+
+async function seasonFixtures(competition, season) {
+  let query = supabase.from('fixtures').select('*').eq('competition_code', competition);
+  if (season) query = query.eq('season', season);
+  const { data, error } = await query.order('match_date', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+function unsupported(competition) {
+  const err = new Error('Knockout simulation is not available for ' + competition);
+  err.status = 400;
+  err.available = Object.keys(FORMATS);
+  return err;
+}
+
+async function getKnockoutSimulation(competition, { runs = KNOCKOUT_RUNS, season = null } = {}) {
+  if (!FORMATS[competition]) throw unsupported(competition);
+  runs = Math.min(Math.max(parseInt(runs) || KNOCKOUT_RUNS, 100), MAX_KNOCKOUT_RUNS);
+  season = season || await latestSeason(competition);
+  const fixtures = await seasonFixtures(competition, season);
+  const resultsKey = fixtures.map(f => f.id + ':' + f.status + ':' + f.home_goals + '-' + f.away_goals).join(',');
+  const cacheKey = competition + ':' + season + ':' + runs;
+  const cached = knockoutCache.get(cacheKey);
+  if (cached && cached.resultsKey === resultsKey) return cached.result;
+
+  const result = {
+    competition, season, runs,
+    format: FORMATS[competition],
+    generated_at: new Date().toISOString(),
+    ...await simulateTournament(competition, fixtures, { runs, season })
+  };
+  knockoutCache.set(cacheKey, { resultsKey, result });
+  return result;
+}
+
+function invalidateKnockout(competition) {
+  for (const key of knockoutCache.keys()) if (!competition || key.startsWith(competition + ':')) knockoutCache.delete(key);
+}
+
+// "To qualify" market for the knockout tie a fixture belongs to: both legs,
+// the first-leg score once played, and fair odds for each side.
+async function getTieQualification(fixtureId) {
+  const { data: fixture, error } = await supabase.from('fixtures').select('*').eq('id', fixtureId).maybeSingle();
+  if (error) throw error;
+  if (!fixture) {
+    const err = new Error('Fixture not found');
+    err.status = 404;
+    throw err;
+  }
+  const format = FORMATS[fixture.competition_code];
+  if (!format) throw unsupported(fixture.competition_code);
+  if (!format.rounds.includes(fixture.stage)) {
+    const err = new Error('Fixture ' + fixtureId + ' is not a knockout tie (stage ' + (fixture.stage || 'none') + ')');
+    err.status = 400;
+    throw err;
+  }
+  const legs = (await seasonFixtures(fixture.competition_code, fixture.season))
+    .filter(f => f.stage === fixture.stage && pairKey(f.home_team, f.away_team) === pairKey(fixture.home_team, fixture.away_team))
+    .slice(0, legsFor(format, fixture.stage));
+  const pricer = makePricer(fixture.competition_code, format, fixture.season);
+  const tie = await pricer.tieFor(legs[0].home_team, legs[0].away_team, fixture.stage, legs);
+  const odds = (p) => p > 0 ? parseFloat((1 / p).toFixed(2)) : null;
+  return {
+    fixture_id: fixture.id, competition: fixture.competition_code, stage: fixture.stage,
+    legs: legs.map(f => ({ fixture_id: f.id, home_team: f.home_team, away_team: f.away_team, match_date: f.match_date, status: f.status, score: f.status === 'FT' ? f.home_goals + '-' + f.away_goals : null })),
+    ...tie,
+    market: [
+      { market: 'To Qualify', selection: tie.home_team + ' to qualify', probability: tie.home_qualify, odds: odds(tie.home_qualify) },
+      { market: 'To Qualify', selection: tie.away_team + ' to qualify', probability: tie.away_qualify, odds: odds(tie.away_qualify) }
+    ]
+  };
+}
+
+module.exports = {
+  KNOCKOUT_FORMATS: FORMATS, tieProbability, rankGroup, simulateTournament,
+  getKnockoutSimulation, invalidateKnockout, getTieQualification
+};
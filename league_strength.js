@@ -0,0 +1,189 @@
+const { getFinishedFixtures } = require('./fixture_queries');
+const { weightFixtures, buildWeightedStrengths, decayWeight } = require('./time_decay');
+const { NATIONAL_TEAM_COMPETITIONS } = require('./tournament');
+
+// League-strength coefficients from continental results. Each club enters a
+// CL/EL match with its domestic attack and defence ratios (goals for and
+// against per match over its league's average); a club from league A at home
+// to one from league B is then expected to score
+//   base_home * attack_h * defence_a * exp(c_A - c_B)
+// and concede base_away * attack_a * defence_h * exp(c_B - c_A). The c are
+// fitted by penalised Poisson likelihood (shrunk toward 0, i.e. all leagues
+// equal, with the weight of LEAGUE_PRIOR_MATCHES matches) on time-weighted
+// matches, so exp(c) reads as "goals on a common scale per domestic goal".
+
+const CONTINENTAL_COMPETITIONS = ['CL', 'EL'];
+const NON_DOMESTIC = [...CONTINENTAL_COMPETITIONS, ...NATIONAL_TEAM_COMPETITIONS];
+const LEAGUE_STRENGTH_LOOKBACK_DAYS = 1460;
+const LEAGUE_STRENGTH_HALF_LIFE_DAYS = 730;
+const LEAGUE_PRIOR_MATCHES = 10;
+const LEAGUE_STRENGTH_CACHE_TTL = 6 * 60 * 60 * 1000; // 6 hours
+const MAX_ITERATIONS = 100;
+
+let strengthCache = null;
+
+const isContinental = (competition) => CONTINENTAL_COMPETITIONS.includes(competition);
+
+// Each club's league is that of its latest domestic fixture.
+function teamLeagues(fixtures) {
+  const leagues = {};
+  for (const f of fixtures) {
+    if (NON_DOMESTIC.includes(f.competition_code)) continue;
+    leagues[f.home_team] = f.competition_code;
+    leagues[f.away_team] = f.competition_code;
+  }
+  return leagues;
+}
+
+// Time-weighted domestic strengths per league: { code: { teams, league } }.
+function domesticStrengths(fixtures, asOf) {
+  const byLeague = {};
+  for (const f of fixtures) {
+    if (NON_DOMESTIC.includes(f.competition_code)) continue;
+    (byLeague[f.competition_code] = byLeague[f.competition_code] || []).push(f);
+  }
+  const out = {};
+  for (const [code, list] of Object.entries(byLeague)) {
+    const s = buildWeightedStrengths(weightFixtures(list, code, asOf), code);
+    if (s) out[code] = s;
+  }
+  return out;
+}
+
+function ratiosFor(domestic, league, team) {
+  const s = domestic[league];
+  const t = s && s.teams[team];
+  if (!t) return null;
+  const perTeam = (s.league.avgHomeGoalsFor + s.league.avgAwayGoalsFor) / 2;
+  return { attack: t.avg_goals_for / perTeam, defence: t.avg_goals_against / perTeam };
+}
+
+// `fixtures`: FT fixtures from every competition, oldest first.
+function fitLeagueStrengths(fixtures, asOf = new Date()) {
+  const leagues = teamLeagues(fixtures);
+  const domestic = domesticStrengths(fixtures, asOf);
+  const rows = [];
+  for (const f of fixtures) {
+    if (!isContinental(f.competition_code)) continue;
+    const la = leagues[f.home_team], lb = leagues[f.away_team];
+    if (!la || !lb) continue;
+    const h = ratiosFor(domestic, la, f.home_team), a = ratiosFor(domestic, lb, f.away_team);
+    if (!h || !a) continue;
+    rows.push({ la, lb, h, a, gh: f.home_goals, ga: f.away_goals, w: decayWeight(f.match_date, asOf, LEAGUE_STRENGTH_HALF_LIFE_DAYS) });
+  }
+
+  const c = {};
+  const counts = {};
+  for (const r of rows) for (const l of [r.la, r.lb]) { c[l] = 0; counts[l] = (counts[l] || 0) + 1; }
+  let baseHome = 1.5, baseAway = 1.2, iterations = 0;
+  const sumW = rows.reduce((s, r) => s + r.w, 0);
+
+  for (; iterations < MAX_ITERATIONS && rows.length > 0; iterations++) {
+    let nh = 0, dh = 0, na = 0, da = 0;
+    for (const r of rows) {
+      const d = Math.exp(c[r.la] - c[r.lb]);
+      nh += r.w * r.gh; dh += r.w * r.h.attack * r.a.defence * d;
+      na += r.w * r.ga; da += r.w * r.a.attack * r.h.defence / d;
+    }
+    baseHome = dh > 0 ? nh / dh : baseHome;
+    baseAway = da > 0 ? na / da : baseAway;
+
+    const grad = {}, info = {};
+    for (const l of Object.keys(c)) { grad[l] = -LEAGUE_PRIOR_MATCHES * c[l]; info[l] = LEAGUE_PRIOR_MATCHES; }
+    for (const r of rows) {
+      if (r.la === r.lb) continue;
+      const d = Math.exp(c[r.la] - c[r.lb]);
+      const lambda = baseHome * r.h.attack * r.a.defence * d;
+      const mu = baseAway * r.a.attack * r.h.defence / d;
+      const g = r.w * ((r.gh - lambda) - (r.ga - mu));
+      grad[r.la] += g; grad[r.lb] -= g;
+      info[r.la] += r.w * (lambda + mu); info[r.lb] += r.w * (lambda + mu);
+    }
+    let maxStep = 0;
+    for (const l of Object.keys(c)) {
+      const step = grad[l] / info[l];
+      c[l] += step;
+      maxStep = Math.max(maxStep, Math.abs(step));
+    }
+    if (maxStep < 1e-6) break;
+  }
+
+  const out = {};
+  for (const l of Object.keys(c).sort((x, y) => c[y] - c[x])) {
+    out[l] = { coefficient: parseFloat(c[l].toFixed(4)), factor: parseFloat(Math.exp(c[l]).toFixed(3)), matches: counts[l] };
+  }
+  const wh = rows.reduce((s, r) => s + r.w * r.gh, 0);
+  const wa = rows.reduce((s, r) => s + r.w * r.ga, 0);
+  return {
+    leagues: out,
+    matches: rows.length,
+    iterations,
+    continental: sumW > 0 ? {
+      avgHomeGoalsFor: wh / sumW, avgHomeGoalsAgainst: wa / sumW,
+      avgAwayGoalsFor: wa / sumW, avgAwayGoalsAgainst: wh / sumW,
+      source: 'continental (' + rows.length + ' matches)'
+    } : null,
+    team_leagues: leagues,
+    domestic
+  };
+}
+
+async function getLeagueStrengths() {
+  if (strengthCache && Date.now() - strengthCache.time < LEAGUE_STRENGTH_CACHE_TTL) return strengthCache.model;
+  const since = new Date(Date.now() - LEAGUE_STRENGTH_LOOKBACK_DAYS * 86400000);
+  const fixtures = await getFinishedFixtures({ since, columns: 'home_team, away_team, home_goals, away_goals, match_date, competition_code' });
+  const model = fitLeagueStrengths(fixtures);
+  strengthCache = { model, time: Date.now() };
+  return model;
+}
+
+function invalidateLeagueStrengths() {
+  strengthCache = null;
+}
+
+// A club's domestic averages moved onto the continental scale: each venue
+// rate keeps its ratio to the domestic league average.
+function rescaleStats(domestic, team, continental) {
+  const t = domestic.teams[team];
+  const L = domestic.league;
+  const C = continental;
+  const perTeam = (x) => (x.avgHomeGoalsFor + x.avgAwayGoalsFor) / 2;
+  const scale = perTeam(C) / perTeam(L);
+  return {
+    ...t,
+    avg_goals_for: t.avg_goals_for * scale,
+    avg_goals_against: t.avg_goals_against * scale,
+    home_avg_goals_for: t.home_avg_goals_for / L.avgHomeGoalsFor * C.avgHomeGoalsFor,
+    home_avg_goals_against: t.home_avg_goals_against / L.avgHomeGoalsAgainst * C.avgHomeGoalsAgainst,
+    away_avg_goals_for: t.away_avg_goals_for / L.avgAwayGoalsFor * C.avgAwayGoalsFor,
+    away_avg_goals_against: t.away_avg_goals_against / L.avgAwayGoalsAgainst * C.avgAwayGoalsAgainst,
+    data_source: t.data_source + ' in ' + domestic.competition
+  };
+}
+
+// For a continental fixture between clubs from different leagues: both
+// sides' rescaled domestic stats, the continental averages and the
+// league-strength factors to apply to the expected goals. Null otherwise.
+async function getCrossLeagueContext(homeTeam, awayTeam) {
+  try {
+    const model = await getLeagueStrengths();
+    if (!model.continental) return null;
+    const la = model.team_leagues[homeTeam], lb = model.team_leagues[awayTeam];
+    if (!la || !lb || la === lb || !model.domestic[la] || !model.domestic[lb]) return null;
+    if (!model.domestic[la].teams[homeTeam] || !model.domestic[lb].teams[awayTeam]) return null;
+    const ca = model.leagues[la] ? model.leagues[la].coefficient : 0;
+    const cb = model.leagues[lb] ? model.leagues[lb].coefficient : 0;
+    return {
+      home: { league: la, coefficient: ca, stats: rescaleStats({ ...model.domestic[la], competition: la }, homeTeam, model.continental) },
+      away: { league: lb, coefficient: cb, stats: rescaleStats({ ...model.domestic[lb], competition: lb }, awayTeam, model.continental) },
+      leagueAvgs: model.continental,
+      home_factor: Math.exp(ca - cb),
+      away_factor: Math.exp(cb - ca)
+    };
+  } catch (e) { console.error('League strength error:', e.message); return null; }
+}
+
+module.exports = {
+  CONTINENTAL_COMPETITIONS, isContinental, teamLeagues, fitLeagueStrengths,
+  getLeagueStrengths, invalidateLeagueStrengths, getCrossLeagueContext
+};
@@ -0,0 +1,148 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { MARKETS, findMarketCode } = require('./markets');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Per-competition overrides of the MARKETS pick thresholds. Any column left
+// null falls back to the constant in markets.js (and STRICT_MODE_BONUS), so
+// an empty table reproduces the hard-coded behaviour.
+const STRICT_MODE_BONUS = 0.05;
+const THRESHOLD_CACHE_TTL = 60 * 1000; // 1 minute, so edits on other instances land quickly
+const FIELDS = ['min_prob', 'strict_bonus', 'medium_prob', 'high_prob'];
+
+const thresholdCache = new Map();
+
+function badRequest(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// { marketCode: row } for a competition, from cache when fresh.
+async function getThresholdRows(competition) {
+  const cached = thresholdCache.get(competition);
+  if (cached && Date.now() - cached.time < THRESHOLD_CACHE_TTL) return cached.rows;
+  const { data, error } = await supabase.from('market_thresholds').select('*').eq('competition', competition);
+  if (error) { console.error('Market thresholds error:', error.message); return {}; }
+  const rows = {};
+  (data || []).forEach(r => { rows[r.market_code] = r; });
+  thresholdCache.set(competition, { rows, time: Date.now() });
+  return rows;
+}
+
+const num = (v) => v == null ? null : parseFloat(v);
+
+// Effective thresholds for every market: { code: { minProb, strictBonus,
+// mediumProb, highProb, source } }. `overrides` (same shape, partial) wins
+// over the table, which wins over the constants.
+function mergeThresholds(rows = {}, overrides = {}) {
+  const out = {};
+  for (const [code, cfg] of Object.entries(MARKETS)) {
+    const row = rows[code] || {};
+    const o = overrides[code] || {};
+    const pick = (key, col, fallback) => o[key] != null ? o[key] : num(row[col]) != null ? num(row[col]) : fallback;
+    out[code] = {
+      minProb: pick('minProb', 'min_prob', cfg.minProb),
+      strictBonus: pick('strictBonus', 'strict_bonus', STRICT_MODE_BONUS),
+      mediumProb: pick('mediumProb', 'medium_prob', cfg.mediumProb),
+      highProb: pick('highProb', 'high_prob', cfg.highProb),
+      source: overrides[code] ? 'override' : rows[code] ? 'database' : 'default'
+    };
+  }
+  return out;
+}
+
+async function getMarketThresholds(competition, overrides = {}) {
+  return mergeThresholds(await getThresholdRows(competition), overrides);
+}
+
+function invalidateThresholds(competition) {
+  if (competition) thresholdCache.delete(competition);
+  else thresholdCache.clear();
+}
+
+function validateValues(values) {
+  const clean = {};
+  for (const f of FIELDS) {
+    if (values[f] === undefined) continue;
+    if (values[f] === null) { clean[f] = null; continue; }
+    const v = parseFloat(values[f]);
+    const max = f === 'strict_bonus' ? 0.5 : 1;
+    if (isNaN(v) || v < 0 || v >= max) throw badRequest(`${f} must be a number in [0, ${max})`);
+    clean[f] = v;
+  }
+  if (Object.keys(clean).length === 0) throw badRequest('Provide at least one of ' + FIELDS.join(', '));
+  return clean;
+}
+
+async function recordAudit(competition, marketCode, action, oldValues, newValues, changedBy) {
+  const { error } = await supabase.from('market_threshold_audit').insert({
+    competition, market_code: marketCode, action,
+    old_values: oldValues, new_values: newValues,
+    changed_by: changedBy, changed_at: new Date().toISOString()
+  });
+  if (error) throw error;
+}
+
+const valuesOf = (row) => row ? Object.fromEntries(FIELDS.map(f => [f, num(row[f])])) : null;
+
+async function findRow(competition, marketCode) {
+  const { data, error } = await supabase.from('market_thresholds').select('*')
+    .eq('competition', competition).eq('market_code', marketCode).limit(1);
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+async function listThresholds(competition = null) {
+  let query = supabase.from('market_thresholds').select('*');
+  if (competition) query = query.eq('competition', competition);
+  const { data, error } = await query.order('competition', { ascending: true }).order('market_code', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+async function setThreshold(competition, market, values, changedBy) {
+  const code = findMarketCode(market);
+  if (!code) throw badRequest('Unknown market: ' + market);
+  const clean = validateValues(values);
+  const existing = await findRow(competition, code);
+  const row = {
+    competition, market_code: code,
+    ...(existing ? valuesOf(existing) : {}), ...clean,
+    updated_by: changedBy, updated_at: new Date().toISOString()
+  };
+  const { data, error } = await supabase.from('market_thresholds')
+    .upsert(row, { onConflict: 'competition,market_code' }).select();
+  if (error) throw error;
+  await recordAudit(competition, code, existing ? 'UPDATE' : 'CREATE', valuesOf(existing), valuesOf(row), changedBy);
+  invalidateThresholds(competition);
+  return data && data.length > 0 ? data[0] : row;
+}
+
+async function deleteThreshold(competition, market, changedBy) {
+  const code = findMarketCode(market);
+  if (!code) throw badRequest('Unknown market: ' + market);
+  const existing = await findRow(competition, code);
+  if (!existing) return null;
+  const { error } = await supabase.from('market_thresholds').delete().eq('id', existing.id);
+  if (error) throw error;
+  await recordAudit(competition, code, 'DELETE', valuesOf(existing), null, changedBy);
+  invalidateThresholds(competition);
+  return existing;
+}
+
+async function getThresholdAudit({ competition = null, market = null, limit = 100 } = {}) {
+  let query = supabase.from('market_threshold_audit').select('*');
+  if (competition) query = query.eq('competition', competition);
+  if (market) query = query.eq('market_code', findMarketCode(market) || market);
+  const { data, error } = await query.order('changed_at', { ascending: false }).limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  STRICT_MODE_BONUS, mergeThresholds, getMarketThresholds, invalidateThresholds,
+  listThresholds, setThreshold, deleteThreshold, getThresholdAudit
+};
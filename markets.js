@@ -0,0 +1,191 @@
+// Market catalogue. Every market has a pick threshold (`minProb`) and a
+// `settle(homeGoals, awayGoals)` rule returning WIN, LOSS, VOID, HALF_WIN or
+// HALF_LOSS. Probabilities are derived from the score matrix by summing the
+// cells for each settlement outcome, so a market only needs its settle rule.
+// Optional `highProb`/`mediumProb` override the default confidence cut-offs
+// for markets whose base rate sits far from the usual 60-70% band.
+
+const HIGH_CONFIDENCE_PROB = 0.70;
+const MEDIUM_CONFIDENCE_PROB = 0.62;
+const CORRECT_SCORE_MAX_GOALS = 4;
+const CORRECT_SCORE_TOP = 5;
+
+const RESULTS = ['WIN', 'HALF_WIN', 'VOID', 'HALF_LOSS', 'LOSS'];
+
+// How much of a settled pick counted as a win; VOID has no outcome.
+const OUTCOME_VALUE = { WIN: 1, HALF_WIN: 0.5, HALF_LOSS: 0, LOSS: 0 };
+
+const winLoss = (won) => won ? 'WIN' : 'LOSS';
+
+function handicapLeg(margin) {
+  if (margin > 0) return 'WIN';
+  if (margin === 0) return 'VOID';
+  return 'LOSS';
+}
+
+// Asian handicap on a team that finished `goalDiff` ahead (negative if
+// behind). Quarter lines are split into two half stakes on the neighbouring
+// half/whole lines, e.g. -0.75 is half on -0.5 and half on -1.0.
+function asianHandicapResult(goalDiff, line) {
+  const quarter = Math.abs((line * 4) % 2) === 1;
+  if (!quarter) return handicapLeg(goalDiff + line);
+  const legs = [handicapLeg(goalDiff + line - 0.25), handicapLeg(goalDiff + line + 0.25)];
+  if (legs[0] === legs[1]) return legs[0];
+  if (legs.includes('WIN')) return legs.includes('VOID') ? 'HALF_WIN' : 'WIN';
+  return 'HALF_LOSS';
+}
+
+const MARKETS = {
+  '1': { name: 'Home Win', minProb: 0.58, settle: (h, a) => winLoss(h > a) },
+  'X': { name: 'Draw', minProb: 0.34, mediumProb: 0.34, highProb: 0.40, settle: (h, a) => winLoss(h === a) },
+  '2': { name: 'Away Win', minProb: 0.58, settle: (h, a) => winLoss(a > h) },
+  '1X': { name: 'Home Win or Draw', minProb: 0.68, settle: (h, a) => winLoss(h >= a) },
+  'X2': { name: 'Away Win or Draw', minProb: 0.68, settle: (h, a) => winLoss(a >= h) },
+  'DNB 1': { name: 'Draw No Bet - Home', minProb: 0.72, settle: (h, a) => h === a ? 'VOID' : winLoss(h > a) },
+  'DNB 2': { name: 'Draw No Bet - Away', minProb: 0.72, settle: (h, a) => h === a ? 'VOID' : winLoss(a > h) },
+  'Over 0.5': { name: 'Over 0.5 Goals', minProb: 0.92, highProb: 0.95, settle: (h, a) => winLoss(h + a > 0.5) },
+  'Over 1.5': { name: 'Over 1.5 Goals', minProb: 0.72, settle: (h, a) => winLoss(h + a > 1.5) },
+  'Over 2.5': { name: 'Over 2.5 Goals', minProb: 0.62, settle: (h, a) => winLoss(h + a > 2.5) },
+  'Over 3.5': { name: 'Over 3.5 Goals', minProb: 0.62, settle: (h, a) => winLoss(h + a > 3.5) },
+  'Over 4.5': { name: 'Over 4.5 Goals', minProb: 0.62, settle: (h, a) => winLoss(h + a > 4.5) },
+  'Under 0.5': { name: 'Under 0.5 Goals', minProb: 0.62, settle: (h, a) => winLoss(h + a < 0.5) },
+  'Under 1.5': { name: 'Under 1.5 Goals', minProb: 0.62, settle: (h, a) => winLoss(h + a < 1.5) },
+  'Under 2.5': { name: 'Under 2.5 Goals', minProb: 0.62, settle: (h, a) => winLoss(h + a < 2.5) },
+  'Under 3.5': { name: 'Under 3.5 Goals', minProb: 0.78, highProb: 0.82, settle: (h, a) => winLoss(h + a < 3.5) },
+  'Under 4.5': { name: 'Under 4.5 Goals', minProb: 0.88, highProb: 0.92, settle: (h, a) => winLoss(h + a < 4.5) },
+  'BTTS Yes': { name: 'Both Teams To Score', minProb: 0.60, settle: (h, a) => winLoss(h > 0 && a > 0) },
+  'BTTS No': { name: 'Both Teams To Score - No', minProb: 0.62, settle: (h, a) => winLoss(h === 0 || a === 0) }
+};
+
+for (const line of [-0.5, -0.75, -1, -1.25, -1.5, -1.75, -2, -2.25, -2.5]) {
+  MARKETS['AH1 ' + line] = { name: 'Asian Handicap Home ' + line, minProb: line === -0.5 ? 0.58 : 0.60, settle: (h, a) => asianHandicapResult(h - a, line) };
+  MARKETS['AH2 ' + line] = { name: 'Asian Handicap Away ' + line, minProb: line === -0.5 ? 0.58 : 0.60, settle: (h, a) => asianHandicapResult(a - h, line) };
+}
+
+// Team markets. `team` tells the engine which side the selection is on so
+// it can label it with the club name ("Arsenal Over 1.5 Goals").
+for (const [side, goals] of [['Home', (h, a) => h], ['Away', (h, a) => a]]) {
+  const team = side.toLowerCase();
+  MARKETS[side + ' Over 0.5'] = { name: side + ' Team Over 0.5 Goals', team, minProb: side === 'Home' ? 0.80 : 0.75, highProb: side === 'Home' ? 0.85 : 0.80, settle: (h, a) => winLoss(goals(h, a) > 0.5) };
+  MARKETS[side + ' Over 1.5'] = { name: side + ' Team Over 1.5 Goals', team, minProb: 0.62, settle: (h, a) => winLoss(goals(h, a) > 1.5) };
+  MARKETS[side + ' Over 2.5'] = { name: side + ' Team Over 2.5 Goals', team, minProb: 0.62, settle: (h, a) => winLoss(goals(h, a) > 2.5) };
+  MARKETS[side + ' Under 1.5'] = { name: side + ' Team Under 1.5 Goals', team, minProb: 0.68, settle: (h, a) => winLoss(goals(h, a) < 1.5) };
+  MARKETS[side + ' Under 2.5'] = { name: side + ' Team Under 2.5 Goals', team, minProb: 0.80, highProb: 0.85, settle: (h, a) => winLoss(goals(h, a) < 2.5) };
+}
+MARKETS['Home Clean Sheet'] = { name: 'Home Clean Sheet', team: 'home', minProb: 0.55, mediumProb: 0.55, highProb: 0.62, settle: (h, a) => winLoss(a === 0) };
+MARKETS['Away Clean Sheet'] = { name: 'Away Clean Sheet', team: 'away', minProb: 0.55, mediumProb: 0.55, highProb: 0.62, settle: (h, a) => winLoss(h === 0) };
+MARKETS['Home Win To Nil'] = { name: 'Home Win To Nil', team: 'home', minProb: 0.45, mediumProb: 0.45, highProb: 0.52, settle: (h, a) => winLoss(h > 0 && a === 0) };
+MARKETS['Away Win To Nil'] = { name: 'Away Win To Nil', team: 'away', minProb: 0.45, mediumProb: 0.45, highProb: 0.52, settle: (h, a) => winLoss(a > 0 && h === 0) };
+
+// Correct scores are graded like any other market but are not shrunk toward
+// 50% by data quality, and only the most likely few are listed per match.
+for (let hs = 0; hs <= CORRECT_SCORE_MAX_GOALS; hs++) {
+  for (let as = 0; as <= CORRECT_SCORE_MAX_GOALS; as++) {
+    MARKETS['CS ' + hs + '-' + as] = { name: 'Correct Score ' + hs + '-' + as, minProb: 0.16, mediumProb: 0.16, highProb: 0.20, correctScore: true, settle: (h, a) => winLoss(h === hs && a === as) };
+  }
+}
+
+function findMarketCode(codeOrName) {
+  if (!codeOrName) return null;
+  if (MARKETS[codeOrName]) return codeOrName;
+  const entry = Object.entries(MARKETS).find(([, cfg]) => cfg.name === codeOrName);
+  return entry ? entry[0] : null;
+}
+
+// Same-game combos: one bet that wins only if every leg wins, priced from
+// the joint score matrix. Legs that can push (draw no bet, whole and quarter
+// handicaps) have no single fair price inside a combo and are refused.
+const MAX_COMBO_LEGS = 6;
+const POPULAR_COMBOS = [
+  ['1', 'Over 1.5'], ['2', 'Over 1.5'], ['1', 'Over 2.5'], ['2', 'Over 2.5'],
+  ['1', 'BTTS Yes'], ['2', 'BTTS Yes'], ['BTTS Yes', 'Over 2.5'],
+  ['1X', 'Under 3.5'], ['X2', 'Under 3.5'], ['1X', 'BTTS Yes'], ['X2', 'BTTS Yes']
+];
+
+const pushFree = (cfg) => {
+  for (let h = 0; h <= 10; h++) for (let a = 0; a <= 10; a++) if (!['WIN', 'LOSS'].includes(cfg.settle(h, a))) return false;
+  return true;
+};
+const COMBINABLE = Object.keys(MARKETS).filter(code => pushFree(MARKETS[code]));
+
+function comboMarket(codesOrNames) {
+  const legs = codesOrNames.map(findMarketCode);
+  const fail = (message) => Object.assign(new Error(message), { status: 400, available: COMBINABLE });
+  if (legs.length < 2 || legs.length > MAX_COMBO_LEGS) throw fail('A combo needs 2 to ' + MAX_COMBO_LEGS + ' markets');
+  const unknown = codesOrNames.filter((c, i) => !legs[i]);
+  if (unknown.length > 0) throw fail('Unknown market: ' + unknown.join(', '));
+  if (new Set(legs).size < legs.length) throw fail('Each market can only appear once');
+  const pushing = legs.filter(c => !COMBINABLE.includes(c));
+  if (pushing.length > 0) throw fail('Markets that can be void cannot be combined: ' + pushing.join(', '));
+  return {
+    name: legs.map(c => MARKETS[c].name).join(' & '),
+    legs, combo: true,
+    settle: (h, a) => legs.every(c => MARKETS[c].settle(h, a) === 'WIN') ? 'WIN' : 'LOSS'
+  };
+}
+
+const SAME_GAME_COMBOS = Object.fromEntries(POPULAR_COMBOS.map(legs => [legs.join(' & '), comboMarket(legs)]));
+
+// A market or popular combo by code; any other "A & B" code is built on demand.
+function marketConfig(code) {
+  if (!code) return null;
+  if (MARKETS[code] || SAME_GAME_COMBOS[code]) return MARKETS[code] || SAME_GAME_COMBOS[code];
+  if (!code.includes(' & ')) return null;
+  try { return comboMarket(code.split(' & ')); } catch (e) { return null; }
+}
+
+function settleMarket(codeOrName, homeGoals, awayGoals) {
+  const code = findMarketCode(codeOrName);
+  const cfg = code ? MARKETS[code] : marketConfig(codeOrName);
+  if (!cfg || homeGoals == null || awayGoals == null) return 'PENDING';
+  return cfg.settle(homeGoals, awayGoals);
+}
+
+// Profit on a one-unit stake at decimal `odds`.
+function settlementProfit(result, odds) {
+  if (result === 'WIN') return odds - 1;
+  if (result === 'HALF_WIN') return (odds - 1) / 2;
+  if (result === 'HALF_LOSS') return -0.5;
+  if (result === 'LOSS') return -1;
+  return 0;
+}
+
+function outcomeProbabilities(matrix, cfg) {
+  const out = { WIN: 0, HALF_WIN: 0, VOID: 0, HALF_LOSS: 0, LOSS: 0 };
+  for (let h = 0; h < matrix.length; h++) {
+    for (let a = 0; a < matrix[h].length; a++) out[cfg.settle(h, a)] += matrix[h][a];
+  }
+  return out;
+}
+
+// Probability that makes the bet fair: 1 / fair odds, with voided stakes
+// returned and half results settled on half the stake. Equals P(WIN) for
+// markets without pushes.
+function effectiveProbability(outcomes) {
+  const won = outcomes.WIN + outcomes.HALF_WIN / 2;
+  const staked = 1 - outcomes.VOID - (outcomes.HALF_WIN + outcomes.HALF_LOSS) / 2;
+  return staked > 0 ? won / staked : 0;
+}
+
+function marketProbability(matrix, cfg) {
+  return effectiveProbability(outcomeProbabilities(matrix, cfg));
+}
+
+function selectionLabel(cfg, homeTeam, awayTeam) {
+  if (cfg.combo) return cfg.legs.map(c => selectionLabel(MARKETS[c], homeTeam, awayTeam)).join(' & ');
+  if (cfg.team === 'home') return homeTeam + ' ' + cfg.name.replace(/^Home (Team )?/, '');
+  if (cfg.team === 'away') return awayTeam + ' ' + cfg.name.replace(/^Away (Team )?/, '');
+  return cfg.name;
+}
+
+function confidenceFor(cfg, prob, dataQuality) {
+  if (prob >= (cfg.highProb || HIGH_CONFIDENCE_PROB) && dataQuality >= 0.70) return 'HIGH';
+  if (prob >= (cfg.mediumProb || MEDIUM_CONFIDENCE_PROB)) return 'MEDIUM';
+  return 'LOW';
+}
+
+module.exports = {
+  MARKETS, SAME_GAME_COMBOS, COMBINABLE, RESULTS, OUTCOME_VALUE, CORRECT_SCORE_TOP, HIGH_CONFIDENCE_PROB, MEDIUM_CONFIDENCE_PROB,
+  asianHandicapResult, findMarketCode, comboMarket, marketConfig, settleMarket, settlementProfit, outcomeProbabilities,
+  effectiveProbability, marketProbability, selectionLabel, confidenceFor
+};
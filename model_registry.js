@@ -0,0 +1,215 @@
+const { expectedGoals, scoreMatrix, getDixonColesModel } = require('./dixon_coles');
+const { ELO_HOME_ADVANTAGE, getEloRatings, eloProbabilities } = require('./elo_ratings');
+const { getInternationalStrengths } = require('./tournament');
+
+// A prediction model turns the engine's match context into a score matrix.
+//
+//   { id, version, description, predict(ctx) }
+//
+// `ctx` holds homeTeam, awayTeam, competition, homeStats, awayStats,
+// leagueAvgs, minMatches, neutral (no home advantage) and the caller's
+// options; options.snapshot carries a point-in-time Dixon-Coles fit and Elo
+// table for backtests. `predict`
+// resolves to { matrix, homeXg, awayXg, reasoning, details }. Bump `version` whenever a
+// model's maths changes so stored predictions stay comparable.
+
+const DEFAULT_MODEL = process.env.PREDICTION_MODEL || 'dixon-coles';
+const ELO_BLEND_WEIGHT = parseFloat(process.env.ELO_BLEND_WEIGHT) || 0.3;
+const MAX_GOALS = 10;
+
+const INTERNATIONAL_XG_SLOPE = 0.0025;  // log expected goals per Elo point of gap
+
+// Per-competition default model. Override with PREDICTION_MODEL_<CODE>.
+const COMPETITION_MODELS = { 'WC': 'international', 'EC': 'international' };
+
+function outcomeTotals(matrix) {
+  const sums = { home: 0, draw: 0, away: 0 };
+  matrix.forEach((row, h) => row.forEach((p, a) => { sums[h > a ? 'home' : h === a ? 'draw' : 'away'] += p; }));
+  return sums;
+}
+
+// Rescales the home-win, draw and away-win regions of the score matrix so
+// they sum to the target 1X2 probabilities, keeping every derived market
+// consistent with the blended outcome.
+function reweightOutcomes(matrix, target) {
+  const sums = outcomeTotals(matrix);
+  return matrix.map((row, h) => row.map((p, a) => {
+    const k = h > a ? 'home' : h === a ? 'draw' : 'away';
+    return sums[k] > 0 ? p * target[k] / sums[k] : 0;
+  }));
+}
+
+function ratioExpectedGoals({ homeStats, awayStats, leagueAvgs, neutral }) {
+  if (neutral) {
+    const perTeam = (leagueAvgs.avgHomeGoalsFor + leagueAvgs.avgAwayGoalsFor) / 2;
+    if (!homeStats || !awayStats) return { homeXg: perTeam, awayXg: perTeam };
+    const ratio = (v) => (v || perTeam) / perTeam;
+    return {
+      homeXg: ratio(homeStats.avg_goals_for) * ratio(awayStats.avg_goals_against) * perTeam,
+      awayXg: ratio(awayStats.avg_goals_for) * ratio(homeStats.avg_goals_against) * perTeam
+    };
+  }
+  if (!homeStats || !awayStats) return { homeXg: leagueAvgs.avgHomeGoalsFor, awayXg: leagueAvgs.avgAwayGoalsFor };
+  const hA = (homeStats.home_avg_goals_for || leagueAvgs.avgHomeGoalsFor) / leagueAvgs.avgHomeGoalsFor;
+  const hD = (homeStats.home_avg_goals_against || leagueAvgs.avgHomeGoalsAgainst) / leagueAvgs.avgHomeGoalsAgainst;
+  const aA = (awayStats.away_avg_goals_for || leagueAvgs.avgAwayGoalsFor) / leagueAvgs.avgAwayGoalsFor;
+  const aD = (awayStats.away_avg_goals_against || leagueAvgs.avgAwayGoalsAgainst) / leagueAvgs.avgAwayGoalsAgainst;
+  return { homeXg: hA * aD * leagueAvgs.avgHomeGoalsFor, awayXg: aA * hD * leagueAvgs.avgAwayGoalsFor };
+}
+
+async function getEloOutcome(ctx) {
+  const snapshot = ctx.options.snapshot;
+  const ratings = snapshot ? snapshot.eloRatings : await getEloRatings();
+  const h = ratings && ratings[ctx.homeTeam];
+  const a = ratings && ratings[ctx.awayTeam];
+  if (!h || !a || h.games < ctx.minMatches || a.games < ctx.minMatches) return null;
+  return { home_rating: h.rating, away_rating: a.rating, probabilities: eloProbabilities(h.rating, a.rating, ctx.neutral ? 0 : ELO_HOME_ADVANTAGE) };
+}
+
+function blendWithElo(base, elo, weight) {
+  const totals = outcomeTotals(base.matrix);
+  const target = {};
+  for (const k of ['home', 'draw', 'away']) target[k] = (1 - weight) * totals[k] + weight * elo.probabilities[k];
+  return {
+    ...base,
+    matrix: reweightOutcomes(base.matrix, target),
+    reasoning: base.reasoning + 'Elo ' + Math.round(elo.home_rating) + ' v ' + Math.round(elo.away_rating) + ' blended at ' + Math.round(weight * 100) + '%. ',
+    details: {
+      ...base.details,
+      elo: {
+        home_rating: Math.round(elo.home_rating), away_rating: Math.round(elo.away_rating), weight,
+        home_win: parseFloat((elo.probabilities.home * 100).toFixed(1)),
+        draw: parseFloat((elo.probabilities.draw * 100).toFixed(1)),
+        away_win: parseFloat((elo.probabilities.away * 100).toFixed(1))
+      }
+    }
+  };
+}
+
+const poissonModel = {
+  id: 'poisson',
+  version: '1.1.0',
+  description: 'Independent Poisson from home/away goal-average ratios',
+  async predict(ctx) {
+    const { homeXg, awayXg } = ratioExpectedGoals(ctx);
+    return {
+      matrix: scoreMatrix(homeXg, awayXg, 0, MAX_GOALS), homeXg, awayXg,
+      reasoning: '', details: { goal_model: 'poisson', dixon_coles: null, elo: null }
+    };
+  }
+};
+
+const dixonColesModel = {
+  id: 'dixon-coles',
+  version: '1.3.0',
+  description: 'Time-weighted Dixon-Coles fit shrunk toward cross-season priors, Poisson ratios as fallback',
+  async predict(ctx) {
+    const dcModel = ctx.options.snapshot ? ctx.options.snapshot.dcModel : await getDixonColesModel(ctx.competition);
+    const dcXg = expectedGoals(dcModel, ctx.homeTeam, ctx.awayTeam, ctx.minMatches, ctx.neutral);
+    const { homeXg, awayXg } = dcXg || ratioExpectedGoals(ctx);
+    const rho = dcModel ? dcModel.rho : 0;
+    return {
+      matrix: scoreMatrix(homeXg, awayXg, rho, MAX_GOALS), homeXg, awayXg,
+      reasoning: dcXg ? 'Dixon-Coles fit on ' + dcModel.matches + ' matches (rho ' + rho.toFixed(3) + '). ' : '',
+      details: {
+        goal_model: dcXg ? 'dixon-coles' : 'poisson',
+        dixon_coles: dcModel ? { rho: parseFloat(rho.toFixed(4)), home_advantage: parseFloat(Math.exp(dcModel.home_advantage).toFixed(3)), matches: dcModel.matches, converged: dcModel.converged } : null,
+        elo: null
+      }
+    };
+  }
+};
+
+// Elo decides the 1X2 split; the Dixon-Coles matrix only shapes the scores
+// within each outcome, which the goal markets still need.
+const eloModel = {
+  id: 'elo',
+  version: '1.1.0',
+  description: 'Elo win/draw/loss with the Dixon-Coles score shape',
+  async predict(ctx) {
+    const base = await dixonColesModel.predict(ctx);
+    const elo = await getEloOutcome(ctx);
+    return elo ? blendWithElo(base, elo, 1) : base;
+  }
+};
+
+const ensembleModel = {
+  id: 'ensemble',
+  version: '1.1.0',
+  description: 'Dixon-Coles blended with Elo 1X2 (weight ELO_BLEND_WEIGHT or options.eloWeight)',
+  async predict(ctx) {
+    const base = await dixonColesModel.predict(ctx);
+    const weight = ctx.options.eloWeight != null ? ctx.options.eloWeight : ELO_BLEND_WEIGHT;
+    const elo = weight > 0 ? await getEloOutcome(ctx) : null;
+    return elo ? blendWithElo(base, elo, weight) : base;
+  }
+};
+
+// National teams: expected goals from the international Elo gap around the
+// average goals per side, blended half and half with the goal-average
+// ratios when both teams have them. Scores are independent Poisson.
+const internationalModel = {
+  id: 'international',
+  version: '1.0.0',
+  description: 'International Elo from all national-team results, neutral-venue aware',
+  async predict(ctx) {
+    const strengths = ctx.options.snapshot ? null : await getInternationalStrengths();
+    const ratings = ctx.options.snapshot ? ctx.options.snapshot.eloRatings : strengths && strengths.ratings;
+    const h = ratings && ratings[ctx.homeTeam];
+    const a = ratings && ratings[ctx.awayTeam];
+    const ratio = ratioExpectedGoals(ctx);
+    if (!h || !a) {
+      return {
+        matrix: scoreMatrix(ratio.homeXg, ratio.awayXg, 0, MAX_GOALS), ...ratio,
+        reasoning: 'No international rating for ' + (!h ? ctx.homeTeam : ctx.awayTeam) + '. ',
+        details: { goal_model: 'poisson', dixon_coles: null, elo: null }
+      };
+    }
+    const perTeam = (ctx.leagueAvgs.avgHomeGoalsFor + ctx.leagueAvgs.avgAwayGoalsFor) / 2;
+    const gap = h.rating - a.rating + (ctx.neutral ? 0 : ELO_HOME_ADVANTAGE);
+    const eloXg = { homeXg: perTeam * Math.exp(INTERNATIONAL_XG_SLOPE * gap), awayXg: perTeam * Math.exp(-INTERNATIONAL_XG_SLOPE * gap) };
+    const both = ctx.homeStats && ctx.awayStats;
+    const homeXg = both ? (eloXg.homeXg + ratio.homeXg) / 2 : eloXg.homeXg;
+    const awayXg = both ? (eloXg.awayXg + ratio.awayXg) / 2 : eloXg.awayXg;
+    const probabilities = eloProbabilities(h.rating, a.rating, ctx.neutral ? 0 : ELO_HOME_ADVANTAGE);
+    return {
+      matrix: scoreMatrix(homeXg, awayXg, 0, MAX_GOALS), homeXg, awayXg,
+      reasoning: 'International Elo ' + Math.round(h.rating) + ' v ' + Math.round(a.rating) + (ctx.neutral ? ' (neutral venue)' : '') + '. ',
+      details: {
+        goal_model: 'international-elo', dixon_coles: null,
+        elo: {
+          home_rating: Math.round(h.rating), away_rating: Math.round(a.rating), weight: both ? 0.5 : 1,
+          home_win: parseFloat((probabilities.home * 100).toFixed(1)),
+          draw: parseFloat((probabilities.draw * 100).toFixed(1)),
+          away_win: parseFloat((probabilities.away * 100).toFixed(1))
+        }
+      }
+    };
+  }
+};
+
+const MODELS = {};
+function registerModel(model) {
+  if (!model.id || !model.version || typeof model.predict !== 'function') throw new Error('Invalid model definition');
+  MODELS[model.id] = model;
+}
+[poissonModel, dixonColesModel, eloModel, ensembleModel, internationalModel].forEach(registerModel);
+
+// Explicit request > per-competition config > PREDICTION_MODEL > dixon-coles.
+function resolveModel(modelId, competition) {
+  const id = modelId || process.env['PREDICTION_MODEL_' + competition] || COMPETITION_MODELS[competition] || DEFAULT_MODEL;
+  const model = MODELS[id];
+  if (!model) {
+    const err = new Error('Unknown model: ' + id);
+    err.status = 400;
+    err.available = Object.keys(MODELS);
+    throw err;
+  }
+  return model;
+}
+
+function listModels() {
+  return Object.values(MODELS).map(m => ({ id: m.id, version: m.version, description: m.description }));
+}
+
+module.exports = { MODELS, COMPETITION_MODELS, registerModel, resolveModel, listModels, outcomeTotals, reweightOutcomes };
@@ -0,0 +1,187 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { findMarketCode, SAME_GAME_COMBOS } = require('./markets');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+const VALUE_EDGE_MIN = parseFloat(process.env.VALUE_EDGE_MIN) || 0.03; // 3% expected return
+const KELLY_FRACTION = parseFloat(process.env.KELLY_FRACTION) || 0.25;  // quarter Kelly
+const MAX_KELLY_STAKE = 0.05; // never suggest more than 5% of bankroll
+const PAGE_SIZE = 1000;
+const ID_CHUNK = 200;
+
+// Expected return per unit staked at decimal `price`.
+function edgeFor(prob, price) {
+  return prob * price - 1;
+}
+
+// Fractional Kelly stake as a share of bankroll; 0 when there is no edge.
+function kellyStake(prob, price, fraction = KELLY_FRACTION) {
+  if (!(price > 1)) return 0;
+  const full = edgeFor(prob, price) / (price - 1);
+  return Math.min(Math.max(full * fraction, 0), MAX_KELLY_STAKE);
+}
+
+// Price fields for a market entry, empty when no bookmaker quote exists.
+function priceFields(prob, quote) {
+  if (!quote) return {};
+  const edge = edgeFor(prob, quote.price);
+  return {
+    price: quote.price, bookmaker: quote.bookmaker,
+    edge: parseFloat(edge.toFixed(3)),
+    value_bet: edge >= VALUE_EDGE_MIN,
+    kelly_stake: parseFloat(kellyStake(prob, quote.price).toFixed(4))
+  };
+}
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(v => v.trim() !== '')) rows.push(row);
+      row = [];
+    } else field += c;
+  }
+  row.push(field);
+  if (row.some(v => v.trim() !== '')) rows.push(row);
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim().toLowerCase());
+  return rows.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, (r[i] || '').trim()])));
+}
+
+async function findFixtureId(row, lookup) {
+  if (row.fixture_id) return parseInt(row.fixture_id);
+  if (!row.home_team || !row.away_team || !row.match_date) return null;
+  const day = new Date(row.match_date);
+  if (isNaN(day)) return null;
+  const key = row.home_team + '|' + row.away_team + '|' + day.toISOString().split('T')[0];
+  if (lookup.has(key)) return lookup.get(key);
+  const start = new Date(day.toISOString().split('T')[0] + 'T00:00:00Z');
+  const end = new Date(start.getTime() + 86400000);
+  const { data } = await supabase.from('fixtures').select('id')
+    .eq('home_team', row.home_team).eq('away_team', row.away_team)
+    .gte('match_date', start.toISOString()).lt('match_date', end.toISOString()).limit(1);
+  const id = data && data.length > 0 ? data[0].id : null;
+  lookup.set(key, id);
+  return id;
+}
+
+// Which of `ids` are fixtures, ID_CHUNK ids per query.
+async function knownFixtureIds(ids) {
+  const known = new Set();
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const { data, error } = await supabase.from('fixtures').select('id').in('id', ids.slice(i, i + ID_CHUNK));
+    if (error) throw error;
+    (data || []).forEach(f => known.add(f.id));
+  }
+  return known;
+}
+
+// Rows need a fixture (fixture_id, or home_team + away_team + match_date), a
+// bookmaker, a market (code or name from MARKETS, or a popular combo code)
+// and a decimal price above 1.
+// captured_at defaults to now. Bad rows are reported, not fatal.
+async function importOdds(input) {
+  const rows = typeof input === 'string' ? parseCsv(input) : input;
+  if (!Array.isArray(rows)) throw Object.assign(new Error('Expected a CSV string or an array of rows'), { status: 400 });
+
+  const candidates = [];
+  const valid = [];
+  const rejected = [];
+  const lookup = new Map();
+  for (const [i, row] of rows.entries()) {
+    const market = row.market_code || row.market;
+    const code = findMarketCode(market) || (SAME_GAME_COMBOS[market] ? market : null);
+    const price = parseFloat(row.price);
+    const fixtureId = await findFixtureId(row, lookup);
+    const capturedAt = row.captured_at ? new Date(row.captured_at) : new Date();
+    let error = null;
+    if (!fixtureId) error = 'Unknown fixture';
+    else if (!row.bookmaker) error = 'Missing bookmaker';
+    else if (!code) error = 'Unknown market: ' + (row.market_code || row.market);
+    else if (!(price > 1)) error = 'Invalid price: ' + row.price;
+    else if (isNaN(capturedAt)) error = 'Invalid captured_at: ' + row.captured_at;
+    if (error) { rejected.push({ row: i + 1, error }); continue; }
+    candidates.push({ row: i + 1, odds: { fixture_id: fixtureId, bookmaker: row.bookmaker, market_code: code, price, captured_at: capturedAt.toISOString() } });
+  }
+
+  // a fixture_id given in the row may not exist; one such row would fail
+  // its whole upsert chunk, so it is rejected here instead
+  const known = await knownFixtureIds([...new Set(candidates.map(c => c.odds.fixture_id))]);
+  for (const c of candidates) {
+    if (known.has(c.odds.fixture_id)) valid.push(c.odds);
+    else rejected.push({ row: c.row, error: 'Unknown fixture_id: ' + c.odds.fixture_id });
+  }
+  rejected.sort((a, b) => a.row - b.row);
+
+  for (let i = 0; i < valid.length; i += 500) {
+    const { error } = await supabase.from('odds')
+      .upsert(valid.slice(i, i + 500), { onConflict: 'fixture_id,bookmaker,market_code,captured_at' });
+    if (error) throw error;
+  }
+  return { received: rows.length, imported: valid.length, rejected };
+}
+
+async function getOddsRows(fixtureIds, before = null) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let query = supabase.from('odds').select('*').in('fixture_id', fixtureIds);
+    if (before) query = query.lte('captured_at', new Date(before).toISOString());
+    const { data, error } = await query
+      .order('captured_at', { ascending: false }).order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+// Best available price per fixture and market: each bookmaker's latest quote,
+// then the highest of those. { fixtureId: { marketCode: { price, bookmaker, captured_at } } }
+async function getBestOdds(fixtureIds, before = null) {
+  if (!fixtureIds || fixtureIds.length === 0) return {};
+  let rows;
+  try { rows = await getOddsRows(fixtureIds, before); }
+  catch (e) { console.error('Odds error:', e.message); return {}; }
+
+  const seen = new Set();
+  const best = {};
+  for (const r of rows) {
+    const key = r.fixture_id + '|' + r.market_code + '|' + r.bookmaker;
+    if (seen.has(key)) continue; // rows are newest first
+    seen.add(key);
+    const byMarket = best[r.fixture_id] = best[r.fixture_id] || {};
+    const price = parseFloat(r.price);
+    if (!byMarket[r.market_code] || price > byMarket[r.market_code].price) {
+      byMarket[r.market_code] = { price, bookmaker: r.bookmaker, captured_at: r.captured_at };
+    }
+  }
+  return best;
+}
+
+async function getFixtureOdds(fixtureId) {
+  const { data, error } = await supabase.from('odds').select('*')
+    .eq('fixture_id', fixtureId).order('captured_at', { ascending: false });
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = {
+  VALUE_EDGE_MIN, KELLY_FRACTION, edgeFor, kellyStake, priceFields, parseCsv,
+  importOdds, getBestOdds, getFixtureOdds
+};
@@ -0,0 +1,45 @@
+const { optimiseThresholds, promoteThresholds } = require('./threshold_optimiser');
+require('dotenv').config();
+
+// Usage: node optimise_thresholds.js CODE [SEASON] [--target=hit_rate|roi] [--folds=4]
+//        [--min-picks=20] [--model=ID] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--promote]
+const flags = {};
+const positional = [];
+for (const a of process.argv.slice(2)) {
+  const m = /^--([\w-]+)(?:=(.*))?$/.exec(a);
+  if (m) flags[m[1]] = m[2] === undefined ? true : m[2];
+  else positional.push(a);
+}
+
+const fmt = (v) => v == null ? '-' : String(v);
+
+async function main() {
+  const competition = (positional[0] || '').toUpperCase();
+  if (!competition) {
+    console.log('Usage: node optimise_thresholds.js CODE [SEASON] [--target=hit_rate|roi] [--folds=4] [--min-picks=20] [--promote]');
+    process.exit(1);
+  }
+  const target = flags.target || 'hit_rate';
+  console.log(`=== OPTIMISING THRESHOLDS ${competition}${positional[1] ? ' ' + positional[1] : ''} (target ${target}) ===`);
+  const result = await optimiseThresholds({
+    competition, season: positional[1] || null, from: flags.from || null, to: flags.to || null,
+    model: flags.model || null, target, folds: parseInt(flags.folds) || 4, minPicks: parseInt(flags['min-picks']) || 20
+  });
+  console.log(`   ${result.from} → ${result.to}: ${result.days} match days, ${result.samples} market samples (${result.priced_samples} with bookmaker prices)`);
+  console.log('\n   ' + 'market'.padEnd(18) + 'current'.padStart(9) + 'new'.padStart(7) + 'high'.padStart(7) + 'wf picks'.padStart(10) + ('wf ' + target).padStart(12) + ('base ' + target).padStart(14) + '/day'.padStart(7));
+  for (const r of result.markets) {
+    console.log('   ' + (r.improves ? '✅ ' : '   ') + r.market.padEnd(15) + String(r.current.min_prob).padStart(9) + String(r.recommended.min_prob).padStart(7) + String(r.recommended.high_prob).padStart(7) +
+      String(r.walk_forward.picks).padStart(10) + fmt(r.walk_forward[target]).padStart(12) + fmt(r.baseline_walk_forward[target]).padStart(14) + String(r.expected_picks_per_matchday).padStart(7));
+  }
+  console.log(`\n   ${result.recommended} of ${result.markets.length} markets beat the current thresholds out of sample`);
+
+  if (flags.promote) {
+    const promoted = await promoteThresholds(competition, result, process.env.USER || 'cli');
+    console.log(`   ✅ Promoted ${promoted.length} thresholds into market_thresholds`);
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
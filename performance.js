@@ -0,0 +1,155 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { OUTCOME_VALUE, settlementProfit } = require('./markets');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Performance analytics over settled picks (prediction_results). Scope 'top'
+// is the published top picks, 'qualified' every market the engine qualified.
+// Hit rates count every graded pick; profit, ROI, drawdown and the profit
+// curve use the bookmaker price recorded with the pick, one unit staked,
+// so picks published without a price are counted but never priced.
+
+const PERFORMANCE_SCOPES = ['top', 'qualified'];
+const PERFORMANCE_DEFAULT_DAYS = 30;
+const PAGE_SIZE = 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const badRequest = (message, extra = {}) => Object.assign(new Error(message), { status: 400, ...extra });
+const round = (x, dp = 2) => parseFloat(x.toFixed(dp));
+
+// ?from=&to= (dates) or ?days=, plus scope, competition and market.
+function parsePerformanceOptions(query = {}) {
+  // a date-only `to` includes that whole day
+  const date = (v, name, endOfDay = false) => {
+    if (!v) return null;
+    const d = new Date(v);
+    if (isNaN(d)) throw badRequest('Invalid ' + name + ': ' + v);
+    return endOfDay && DATE_ONLY.test(v) ? new Date(d.getTime() + 86400000 - 1) : d;
+  };
+  const scope = query.scope || 'top';
+  if (!PERFORMANCE_SCOPES.includes(scope)) throw badRequest('Invalid scope: ' + scope, { available: PERFORMANCE_SCOPES });
+  let from = date(query.from, 'from');
+  const to = date(query.to, 'to', true);
+  if (!from) {
+    const days = query.days != null ? parseInt(query.days) : PERFORMANCE_DEFAULT_DAYS;
+    if (!(days > 0)) throw badRequest('days must be a positive number');
+    from = new Date((to || new Date()).getTime() - days * 86400000);
+  }
+  if (to && to < from) throw badRequest('to must not be before from');
+  return { from, to, scope, competition: query.competition || null, market: query.market || null };
+}
+
+async function getSettledPicks({ from = null, to = null, scope = 'top', competition = null, market = null } = {}) {
+  const rows = [];
+  for (let start = 0; ; start += PAGE_SIZE) {
+    let query = supabase.from('prediction_results').select('*').neq('result', 'PENDING');
+    query = scope === 'qualified' ? query.eq('qualified', true) : query.eq('is_best', true).not('top_pick_rank', 'is', null);
+    if (from) query = query.gte('kickoff', from.toISOString());
+    if (to) query = query.lte('kickoff', to.toISOString());
+    if (competition) query = query.eq('competition_code', competition);
+    if (market) query = query.eq('market_code', market);
+    const { data, error } = await query
+      .order('kickoff', { ascending: true }).order('id', { ascending: true })
+      .range(start, start + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+const isGraded = (r) => OUTCOME_VALUE[r.result] != null;
+const priceOf = (r) => parseFloat(r.price) > 1 ? parseFloat(r.price) : null;
+
+function summarise(rows) {
+  const count = (result) => rows.filter(r => r.result === result).length;
+  const graded = rows.filter(isGraded);
+  const priced = graded.filter(r => priceOf(r) != null);
+  const profit = priced.reduce((s, r) => s + settlementProfit(r.result, priceOf(r)), 0);
+  const score = graded.reduce((s, r) => s + OUTCOME_VALUE[r.result], 0);
+  return {
+    picks: rows.length,
+    wins: count('WIN'), half_wins: count('HALF_WIN'), voids: count('VOID'), half_losses: count('HALF_LOSS'), losses: count('LOSS'),
+    win_rate: graded.length > 0 ? round(score / graded.length * 100, 1) : null,
+    priced: priced.length,
+    average_price: priced.length > 0 ? round(priced.reduce((s, r) => s + priceOf(r), 0) / priced.length) : null,
+    profit: round(profit),
+    roi: priced.length > 0 ? round(profit / priced.length * 100, 1) : null
+  };
+}
+
+function breakdown(rows, keyOf, order = null) {
+  const groups = {};
+  for (const r of rows) {
+    const key = keyOf(r);
+    if (key != null) (groups[key] = groups[key] || []).push(r);
+  }
+  const keys = order ? order.filter(k => groups[k]) : Object.keys(groups).sort();
+  const out = {};
+  for (const key of keys) out[key] = summarise(groups[key]);
+  return out;
+}
+
+// Half results count with the side they lean to; voids don't break a run.
+function streaks(rows) {
+  let current = null;
+  let longestWin = 0;
+  let longestLoss = 0;
+  for (const r of rows.filter(isGraded)) {
+    const type = r.result === 'WIN' || r.result === 'HALF_WIN' ? 'W' : 'L';
+    current = current && current.type === type ? { type, length: current.length + 1 } : { type, length: 1 };
+    if (type === 'W') longestWin = Math.max(longestWin, current.length);
+    else longestLoss = Math.max(longestLoss, current.length);
+  }
+  return { current, longest_win: longestWin, longest_loss: longestLoss };
+}
+
+// Cumulative profit per kickoff day and the deepest fall from a running peak
+// (in units, pick by pick).
+function profitCurve(rows) {
+  const days = [];
+  let cumulative = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  for (const r of rows.filter(x => isGraded(x) && priceOf(x) != null)) {
+    const profit = settlementProfit(r.result, priceOf(r));
+    cumulative += profit;
+    peak = Math.max(peak, cumulative);
+    maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+    const date = new Date(r.kickoff).toISOString().split('T')[0];
+    const last = days[days.length - 1];
+    if (last && last.date === date) { last.picks++; last.profit += profit; last.cumulative = cumulative; }
+    else days.push({ date, picks: 1, profit, cumulative });
+  }
+  return {
+    max_drawdown: round(maxDrawdown),
+    curve: days.map(d => ({ date: d.date, picks: d.picks, profit: round(d.profit), cumulative: round(d.cumulative) }))
+  };
+}
+
+async function getPerformance(options = {}) {
+  const rows = await getSettledPicks(options);
+  const { max_drawdown, curve } = profitCurve(rows);
+  return {
+    scope: options.scope || 'top',
+    from: options.from ? options.from.toISOString() : null,
+    to: (options.to || new Date()).toISOString(),
+    competition: options.competition || null, market: options.market || null,
+    summary: summarise(rows),
+    streaks: streaks(rows),
+    max_drawdown,
+    profit_curve: curve,
+    by_market: breakdown(rows, r => r.market_code),
+    by_competition: breakdown(rows, r => r.competition_code),
+    by_confidence: breakdown(rows, r => r.confidence),
+    by_weekday: breakdown(rows, r => r.kickoff ? WEEKDAYS[new Date(r.kickoff).getUTCDay()] : null, [...WEEKDAYS.slice(1), WEEKDAYS[0]]),
+    by_month: breakdown(rows, r => r.kickoff ? new Date(r.kickoff).toISOString().substring(0, 7) : null)
+  };
+}
+
+module.exports = { PERFORMANCE_SCOPES, parsePerformanceOptions, getSettledPicks, getPerformance };
@@ -1,5 +1,18 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
+const { getTeamStrengths, teamStrength } = require('./team_priors');
+const { resolveModel } = require('./model_registry');
+const { getCalibrationMaps, applyCalibration } = require('./calibration');
+const { MARKETS, SAME_GAME_COMBOS, CORRECT_SCORE_TOP, marketProbability, selectionLabel, confidenceFor } = require('./markets');
+const { priceFields, getBestOdds } = require('./odds_service');
+const { publishPredictions } = require('./prediction_store');
+const { getMarketThresholds } = require('./market_thresholds');
+const { H2H_ENABLED, getH2HAdjustment, applyH2H } = require('./head_to_head');
+const { MOMENTUM_WEIGHT, getFormTable, momentumAdjustment } = require('./form_engine');
+const { tiltMatrix } = require('./dixon_coles');
+const { REST_STRENGTH, getRestAdjustment } = require('./rest_days');
+const { isContinental, getCrossLeagueContext } = require('./league_strength');
+const { isNationalTeam, isTournament, isNeutral, neutralStats, getInternationalStrengths, getGroupContext, fixtureOptions, CONTEXT_STRENGTH } = require('./tournament');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -7,32 +20,6 @@ const supabase = createClient(
 );
 
 const MIN_MATCHES_FOR_PREDICTION = 5;
-const MARKETS = {
-  '1': { name: 'Home Win', minProb: 0.58 },
-  '2': { name: 'Away Win', minProb: 0.58 },
-  '1X': { name: 'Home Win or Draw', minProb: 0.68 },
-  'X2': { name: 'Away Win or Draw', minProb: 0.68 },
-  'Over 1.5': { name: 'Over 1.5 Goals', minProb: 0.72 },
-  'Over 2.5': { name: 'Over 2.5 Goals', minProb: 0.62 },
-  'BTTS Yes': { name: 'Both Teams To Score', minProb: 0.60 }
-};
-
-function factorial(n) {
-  if (n <= 1) return 1;
-  let result = 1;
-  for (let i = 2; i <= n; i++) result *= i;
-  return result;
-}
-
-function poissonProb(lambda, k) {
-  return (Math.pow(lambda, k) * Math.exp(-lambda)) / factorial(k);
-}
-
-function poissonDistribution(lambda, maxGoals = 10) {
-  const dist = [];
-  for (let i = 0; i <= maxGoals; i++) dist.push(poissonProb(lambda, i));
-  return dist;
-}
 
 async function findTeamStatsFlexible(teamName, competition) {
   try {
@@ -90,8 +77,38 @@ async function getLeagueRollingAverages(competition) {
   };
 }
 
-function validateForm(homeStats, awayStats, market) {
-  if (market === 'Over 2.5') {
+const FORM_GUARD_MIN_GAMES = 4;
+
+// Recent-form vetoes; `form` is { home, away } from form_engine, either may
+// be null. Each rule needs FORM_GUARD_MIN_GAMES results in the span it reads.
+function formGuard(form, market) {
+  const enough = (line) => !!line && line.games >= FORM_GUARD_MIN_GAMES;
+  for (const side of ['home', 'away']) {
+    const label = side === 'home' ? 'Home' : 'Away';
+    const own = form[side];
+    const opp = form[side === 'home' ? 'away' : 'home'];
+    const winMarkets = side === 'home' ? ['1', 'DNB 1', 'Home Win To Nil'] : ['2', 'DNB 2', 'Away Win To Nil'];
+    if (winMarkets.includes(market)) {
+      if (own && enough(own.overall) && own.overall.wins === 0) return { valid: false, reason: label + ' side winless in last ' + own.overall.games };
+      if (opp && enough(opp.overall) && opp.overall.losses === 0) return { valid: false, reason: 'Opponent unbeaten in last ' + opp.overall.games };
+    }
+    const venue = own ? own[side] : null;
+    if (market === (side === 'home' ? '1X' : 'X2') && enough(venue) && venue.losses === venue.games) {
+      return { valid: false, reason: label + ' side lost last ' + venue.games + ' ' + (side === 'home' ? 'at home' : 'away') };
+    }
+    if ((market === label + ' Clean Sheet' || market === label + ' Win To Nil') && enough(venue) && venue.clean_sheets === 0) {
+      return { valid: false, reason: 'No ' + side + ' clean sheet in last ' + venue.games };
+    }
+  }
+  return { valid: true };
+}
+
+function validateForm(homeStats, awayStats, market, form = null) {
+  if (form) {
+    const guard = formGuard(form, market);
+    if (!guard.valid) return guard;
+  }
+  if (market === 'Over 2.5' || market === 'Over 3.5' || market === 'Over 4.5') {
     const h = homeStats ? (homeStats.avg_goals_for || 0) : 0;
     const a = awayStats ? (awayStats.avg_goals_for || 0) : 0;
     if (h < 1.2 && a < 1.2) return { valid: false, reason: 'Low scoring teams' };
@@ -104,106 +121,262 @@ function validateForm(homeStats, awayStats, market) {
     if (!hs || !as) return { valid: false, reason: 'Low attack' };
     if (!hc || !ac) return { valid: false, reason: 'Good defense' };
   }
+  const teamOver = /^(Home|Away) Over (\d\.5)$/.exec(market);
+  if (teamOver) {
+    const line = parseFloat(teamOver[2]);
+    const gf = teamOver[1] === 'Home'
+      ? (homeStats ? (homeStats.home_avg_goals_for || 0) : 0)
+      : (awayStats ? (awayStats.away_avg_goals_for || 0) : 0);
+    if (gf < line + 0.3) return { valid: false, reason: 'Low ' + teamOver[1].toLowerCase() + ' attack' };
+  }
+  if (market === 'Home Clean Sheet' || market === 'Home Win To Nil') {
+    const conceded = homeStats ? (homeStats.home_avg_goals_against || 0) : 0;
+    const scored = awayStats ? (awayStats.away_avg_goals_for || 0) : 0;
+    if (!homeStats || conceded > 1.0) return { valid: false, reason: 'Leaky home defense' };
+    if (!awayStats || scored > 1.2) return { valid: false, reason: 'Dangerous away attack' };
+  }
+  if (market === 'Away Clean Sheet' || market === 'Away Win To Nil') {
+    const conceded = awayStats ? (awayStats.away_avg_goals_against || 0) : 0;
+    const scored = homeStats ? (homeStats.home_avg_goals_for || 0) : 0;
+    if (!awayStats || conceded > 1.0) return { valid: false, reason: 'Leaky away defense' };
+    if (!homeStats || scored > 1.2) return { valid: false, reason: 'Dangerous home attack' };
+  }
   return { valid: true };
 }
 
-async function predictMatch(homeTeam, awayTeam, competition) {
-  const homeStats = await findTeamStatsFlexible(homeTeam, competition);
-  const awayStats = await findTeamStatsFlexible(awayTeam, competition);
-  let leagueAvgs = await getLeagueRollingAverages(competition);
-  if (!leagueAvgs) leagueAvgs = await getLeagueAveragesFromDB(competition);
+const RANK_BY = ['probability', 'ev'];
+
+// 'ev' ranks by edge at the best bookmaker price; picks without a quote go
+// after every priced pick, in probability order.
+function pickComparator(rankBy = 'probability') {
+  if (rankBy !== 'ev') return (a, b) => b.probability - a.probability;
+  const ev = (p) => p.edge != null ? p.edge : -Infinity;
+  return (a, b) => ev(b) - ev(a) || b.probability - a.probability;
+}
+
+function priceOf(p) {
+  return p.price != null ? { price: p.price, bookmaker: p.bookmaker, edge: p.edge, value_bet: p.value_bet, kelly_stake: p.kelly_stake } : {};
+}
+
+function maxPicksFor(date) {
+  const isWeekend = [0, 5, 6].includes(date.getDay());
+  return { isWeekend, maxTop: isWeekend ? 5 : 3 };
+}
+
+async function predictMatch(homeTeam, awayTeam, competition, options = {}) {
+  const model = resolveModel(options.model, competition);
+  const modelInfo = { id: model.id, version: model.version };
+  // A snapshot (see backtest.js) pins every input to what was known at a
+  // past date, so the live team_stats and league RPCs must not be consulted.
+  const snapshot = options.snapshot || null;
+  // Tournament mode: national teams are rated from every international
+  // result, and at a neutral venue (options.neutral, the fixture's flag) the
+  // home/away split is dropped.
+  const neutral = isNeutral(competition, options.neutral);
+  const strengths = snapshot ? snapshot.strengths
+    : isNationalTeam(competition) ? await getInternationalStrengths() : await getTeamStrengths(competition);
+  // Continental cups between clubs from different leagues use each club's
+  // domestic record moved onto the continental scale; the league-strength
+  // factors are applied to the expected goals after the model.
+  const cross = !snapshot && isContinental(competition) ? await getCrossLeagueContext(homeTeam, awayTeam) : null;
+  const venueStats = (stats) => neutral ? neutralStats(stats) : stats;
+  const homeStats = venueStats(cross ? cross.home.stats : teamStrength(strengths, homeTeam) || (snapshot ? null : await findTeamStatsFlexible(homeTeam, competition)));
+  const awayStats = venueStats(cross ? cross.away.stats : teamStrength(strengths, awayTeam) || (snapshot ? null : await findTeamStatsFlexible(awayTeam, competition)));
+  let leagueAvgs = cross ? cross.leagueAvgs : strengths ? strengths.league : null;
+  if (!leagueAvgs && !snapshot) leagueAvgs = await getLeagueRollingAverages(competition);
+  if (!leagueAvgs && !snapshot) leagueAvgs = await getLeagueAveragesFromDB(competition);
 
   if (!leagueAvgs) {
     return {
       home_team: homeTeam, away_team: awayTeam, best_pick: null,
-      all_predictions: [], top_picks: [],
+      all_predictions: [], top_picks: [], qualified_picks: [],
       reasoning: 'No league data for ' + competition,
-      data_quality: 0, status: 'NO_PICK',
+      data_quality: 0, status: 'NO_PICK', model: modelInfo,
       data_source: { home: 'none', away: 'none' },
       league_source: 'none', home_xg: 0, away_xg: 0,
       raw_probabilities: {}, confidence: 'none'
     };
   }
 
-  const homeGames = homeStats ? (homeStats.games_played || 0) : 0;
-  const awayGames = awayStats ? (awayStats.games_played || 0) : 0;
+  const sampleSize = (stats) => stats ? (stats.effective_games != null ? stats.effective_games : (stats.games_played || 0)) : 0;
+  const homeGames = sampleSize(homeStats);
+  const awayGames = sampleSize(awayStats);
   const dataQuality = Math.min((homeGames + awayGames) / 10, 1.0);
 
   if (dataQuality < 0.30) {
     return {
       home_team: homeTeam, away_team: awayTeam, best_pick: null,
-      all_predictions: [], top_picks: [],
+      all_predictions: [], top_picks: [], qualified_picks: [],
       reasoning: 'Insufficient data (' + Math.round(dataQuality * 100) + '%)',
-      data_quality: Math.round(dataQuality * 100), status: 'NO_PICK',
+      data_quality: Math.round(dataQuality * 100), status: 'NO_PICK', model: modelInfo,
+      effective_sample_size: { home: parseFloat(homeGames.toFixed(1)), away: parseFloat(awayGames.toFixed(1)) },
       data_source: { home: homeStats ? homeStats.data_source : 'none', away: awayStats ? awayStats.data_source : 'none' }
     };
   }
 
-  let homeXg, awayXg;
-  if (homeStats && awayStats) {
-    const hA = (homeStats.home_avg_goals_for || leagueAvgs.avgHomeGoalsFor) / leagueAvgs.avgHomeGoalsFor;
-    const hD = (homeStats.home_avg_goals_against || leagueAvgs.avgHomeGoalsAgainst) / leagueAvgs.avgHomeGoalsAgainst;
-    const aA = (awayStats.away_avg_goals_for || leagueAvgs.avgAwayGoalsFor) / leagueAvgs.avgAwayGoalsFor;
-    const aD = (awayStats.away_avg_goals_against || leagueAvgs.avgAwayGoalsAgainst) / leagueAvgs.avgAwayGoalsAgainst;
-    homeXg = hA * aD * leagueAvgs.avgHomeGoalsFor;
-    awayXg = aA * hD * leagueAvgs.avgAwayGoalsFor;
-  } else {
-    homeXg = leagueAvgs.avgHomeGoalsFor;
-    awayXg = leagueAvgs.avgAwayGoalsFor;
+  const prediction = await model.predict({ homeTeam, awayTeam, competition, homeStats, awayStats, leagueAvgs, minMatches: MIN_MATCHES_FOR_PREDICTION, neutral, options });
+
+  // Adjustments on top of the model, each recorded in reasoning_factors with
+  // its effect on the headline markets in percentage points.
+  let matrix = prediction.matrix;
+  let homeXg = prediction.homeXg;
+  let awayXg = prediction.awayXg;
+  const reasoningFactors = [];
+  const addFactor = (factor, before) => {
+    const pp = (code) => parseFloat(((marketProbability(matrix, MARKETS[code]) - marketProbability(before, MARKETS[code])) * 100).toFixed(1));
+    reasoningFactors.push({ ...factor, effect: { home_win: pp('1'), draw: pp('X'), away_win: pp('2'), over_25: pp('Over 2.5'), btts: pp('BTTS Yes') } });
+  };
+
+  // A Dixon-Coles fit on the cup's own results is already on one scale.
+  if (cross && prediction.details.goal_model !== 'dixon-coles') {
+    const before = matrix;
+    matrix = tiltMatrix(matrix, cross.home_factor, cross.away_factor);
+    homeXg *= cross.home_factor;
+    awayXg *= cross.away_factor;
+    addFactor({
+      factor: 'league_strength', label: 'Leagues', weight: null,
+      detail: homeTeam + ' (' + cross.home.league + ' x' + Math.exp(cross.home.coefficient).toFixed(2) + ') v ' +
+        awayTeam + ' (' + cross.away.league + ' x' + Math.exp(cross.away.coefficient).toFixed(2) + ')'
+    }, before);
+  }
+
+  // Optional head-to-head blend: options.h2h, else H2H_ADJUSTMENT=true.
+  const useH2H = options.h2h != null ? !!options.h2h : H2H_ENABLED;
+  const h2h = useH2H ? await getH2HAdjustment(homeTeam, awayTeam, { snapshot }) : null;
+  if (h2h) {
+    const before = matrix;
+    const rho = prediction.details.dixon_coles ? prediction.details.dixon_coles.rho : 0;
+    matrix = applyH2H(matrix, h2h, rho);
+    homeXg = (1 - h2h.weight) * homeXg + h2h.weight * h2h.home_goals;
+    awayXg = (1 - h2h.weight) * awayXg + h2h.weight * h2h.away_goals;
+    addFactor({
+      factor: 'h2h', label: 'H2H', weight: parseFloat(h2h.weight.toFixed(3)),
+      detail: h2h.meetings + ' meetings (' + h2h.record.wins + 'W ' + h2h.record.draws + 'D ' + h2h.record.losses + 'L for ' + homeTeam + '), ' +
+        h2h.home_goals.toFixed(1) + '-' + h2h.away_goals.toFixed(1) + ' weighted average, ' + Math.round(h2h.weight * 100) + '% weight'
+    }, before);
   }
 
-  const homeDist = poissonDistribution(homeXg, 10);
-  const awayDist = poissonDistribution(awayXg, 10);
-  let homeWin = 0, draw = 0, awayWin = 0, over15 = 0, over25 = 0, btts = 0;
-  for (let h = 0; h <= 10; h++) {
-    for (let a = 0; a <= 10; a++) {
-      const prob = homeDist[h] * awayDist[a];
-      if (h > a) homeWin += prob;
-      else if (h === a) draw += prob;
-      else awayWin += prob;
-      if (h + a > 1.5) over15 += prob;
-      if (h + a > 2.5) over25 += prob;
-      if (h > 0 && a > 0) btts += prob;
-    }
+  // Recent form: momentum tilts the expected goals (options.momentum false
+  // switches it off) and the form guards in validateForm filter picks.
+  const formTable = snapshot ? snapshot.form : await getFormTable(competition).catch(e => { console.error('Form error:', e.message); return null; });
+  const form = { home: formTable ? formTable[homeTeam] || null : null, away: formTable ? formTable[awayTeam] || null : null };
+  const momentum = options.momentum === false ? null : momentumAdjustment(form.home, form.away);
+  if (momentum) {
+    const before = matrix;
+    matrix = tiltMatrix(matrix, momentum.home_factor, momentum.away_factor);
+    homeXg *= momentum.home_factor;
+    awayXg *= momentum.away_factor;
+    const describe = (team, f) => team + ' ' + (f.overall.form_string || '-') + ' (' + f.overall.ppg + ' ppg vs ' + f.baseline.ppg + ')';
+    addFactor({
+      factor: 'momentum', label: 'Form', weight: MOMENTUM_WEIGHT,
+      detail: describe(homeTeam, form.home) + ', ' + describe(awayTeam, form.away) + ', xG x' + momentum.home_factor.toFixed(2) + '/' + momentum.away_factor.toFixed(2)
+    }, before);
+  }
+
+  // Rest days and congestion across all competitions, from options.kickoff
+  // (else asOf, else now); options.restStrength overrides REST_STRENGTH and
+  // 0 switches it off.
+  const restStrength = options.restStrength != null ? options.restStrength : REST_STRENGTH;
+  const rest = restStrength ? await getRestAdjustment(homeTeam, awayTeam, options.kickoff || options.asOf || new Date(), { snapshot, strength: restStrength }) : null;
+  if (rest && rest.adjustment) {
+    const before = matrix;
+    const adj = rest.adjustment;
+    matrix = tiltMatrix(matrix, adj.home_factor, adj.away_factor);
+    homeXg *= adj.home_factor;
+    awayXg *= adj.away_factor;
+    const describe = (team, r) => team + ' ' + (r.days_rest != null ? r.days_rest + 'd rest' : 'rested') + ', ' + r.matches_14d + ' in 14d' +
+      (r.last_match && r.last_match.competition !== competition ? ' (last ' + r.last_match.competition + ')' : '');
+    addFactor({
+      factor: 'rest', label: 'Rest', weight: restStrength,
+      detail: describe(homeTeam, rest.home) + ', ' + describe(awayTeam, rest.away) + ', fatigue ' + adj.home_fatigue + '/' + adj.away_fatigue
+    }, before);
+  }
+
+  // Group stage: a side that is already through (or out) against one still
+  // playing for something.
+  const group = !snapshot && isTournament(competition) && options.group
+    ? await getGroupContext(competition, options.group, homeTeam, awayTeam, { season: options.season, asOf: options.kickoff || new Date() })
+    : null;
+  if (group && group.adjustment) {
+    const before = matrix;
+    const adj = group.adjustment;
+    matrix = tiltMatrix(matrix, adj.home_factor, adj.away_factor);
+    homeXg *= adj.home_factor;
+    awayXg *= adj.away_factor;
+    const settledTeam = adj.settled === 'home' ? group.home : group.away;
+    addFactor({
+      factor: 'group_context', label: 'Group', weight: CONTEXT_STRENGTH,
+      detail: settledTeam.team + ' already ' + settledTeam.status.toLowerCase() + ' (' + settledTeam.points + ' pts, ' + group.group + ')'
+    }, before);
   }
 
-  const adjust = (prob) => prob * dataQuality + 0.5 * (1 - dataQuality);
-  const rawProbs = { '1': homeWin, '2': awayWin, '1X': homeWin + draw, 'X2': draw + awayWin, 'Over 1.5': over15, 'Over 2.5': over25, 'BTTS Yes': btts };
+  const homeDist = matrix.map(row => row.reduce((s, p) => s + p, 0));
+  const awayDist = matrix[0].map((_, a) => matrix.reduce((s, row) => s + row[a], 0));
+
+  // Markets with a fitted calibration map use it. Posterior strengths already
+  // carry their own uncertainty through the prior, so only teams that fell
+  // back to raw team_stats still get the old shrink toward 50%.
+  const calibrationMaps = options.calibrate === false ? {} : await getCalibrationMaps();
+  const hasPrior = (stats) => !!(stats && stats.prior && stats.prior.games > 0);
+  const usesPriors = hasPrior(homeStats) && hasPrior(awayStats);
+  const adjust = (prob) => usesPriors ? prob : prob * dataQuality + 0.5 * (1 - dataQuality);
+  const rawProbs = {};
+  for (const [code, cfg] of Object.entries(MARKETS)) rawProbs[code] = marketProbability(matrix, cfg);
+
   const adjustedProbs = {};
-  for (const [m, p] of Object.entries(rawProbs)) adjustedProbs[m] = adjust(p);
+  for (const [m, p] of Object.entries(rawProbs)) {
+    if (calibrationMaps[m]) adjustedProbs[m] = applyCalibration(calibrationMaps[m], p);
+    else adjustedProbs[m] = MARKETS[m].correctScore ? p : adjust(p);
+  }
+
+  const topScores = new Set(Object.keys(MARKETS).filter(c => MARKETS[c].correctScore)
+    .sort((a, b) => rawProbs[b] - rawProbs[a]).slice(0, CORRECT_SCORE_TOP));
 
   const isStrict = dataQuality < 0.60;
-  const bonus = isStrict ? 0.05 : 0;
+  // Per-competition thresholds from market_thresholds, MARKETS as fallback;
+  // options.thresholds (code -> partial overrides) wins over both.
+  const thresholds = await getMarketThresholds(competition, options.thresholds);
 
+  // `odds` in each entry is the model's fair price; bookmaker quotes passed
+  // in options.odds (market code -> { price, bookmaker }) add edge and stake.
+  const quotes = options.odds || {};
   const allPredictions = [];
   const qualifiedPicks = [];
 
   for (const [code, cfg] of Object.entries(MARKETS)) {
+    if (cfg.correctScore && !topScores.has(code)) continue;
     const prob = adjustedProbs[code];
-    const minProb = cfg.minProb + bonus;
-    allPredictions.push({ market: cfg.name, marketCode: code, probability: parseFloat(prob.toFixed(3)), odds: prob > 0 ? parseFloat((1 / prob).toFixed(2)) : null, meetsThreshold: prob >= minProb, minRequired: minProb });
+    const t = thresholds[code];
+    const minProb = t.minProb + (isStrict ? t.strictBonus : 0);
+    const selection = selectionLabel(cfg, homeTeam, awayTeam);
+    const priced = priceFields(prob, quotes[code]);
+    const check = validateForm(homeStats, awayStats, code, form);
+    allPredictions.push({ market: cfg.name, marketCode: code, selection, probability: parseFloat(prob.toFixed(3)), rawProbability: parseFloat(rawProbs[code].toFixed(3)), calibrated: !!calibrationMaps[code], odds: prob > 0 ? parseFloat((1 / prob).toFixed(2)) : null, ...priced, meetsThreshold: prob >= minProb, minRequired: minProb, formValid: check.valid, ...(check.valid ? {} : { formReason: check.reason }) });
     if (prob >= minProb) {
-      const check = validateForm(homeStats, awayStats, code);
       if (check.valid) {
-        let conf = 'LOW';
-        if (prob >= 0.70 && dataQuality >= 0.70) conf = 'HIGH';
-        else if (prob >= 0.62) conf = 'MEDIUM';
-        if (conf !== 'LOW') qualifiedPicks.push({ market: cfg.name, marketCode: code, probability: parseFloat(prob.toFixed(3)), confidence: conf, odds: prob > 0 ? parseFloat((1 / prob).toFixed(2)) : null, minRequired: minProb });
+        const conf = confidenceFor({ mediumProb: t.mediumProb, highProb: t.highProb }, prob, dataQuality);
+        if (conf !== 'LOW') qualifiedPicks.push({ market: cfg.name, marketCode: code, selection, probability: parseFloat(prob.toFixed(3)), rawProbability: parseFloat(rawProbs[code].toFixed(3)), confidence: conf, odds: prob > 0 ? parseFloat((1 / prob).toFixed(2)) : null, ...priced, minRequired: minProb });
       }
     }
   }
 
+  // Popular same-game combos, priced jointly from the score matrix rather
+  // than as a product of legs. Listed only: they never become picks.
+  for (const [code, cfg] of Object.entries(SAME_GAME_COMBOS)) {
+    const prob = marketProbability(matrix, cfg);
+    const independent = cfg.legs.reduce((s, c) => s * rawProbs[c], 1);
+    allPredictions.push({ market: cfg.name, marketCode: code, selection: selectionLabel(cfg, homeTeam, awayTeam), combo: true, legs: cfg.legs, probability: parseFloat(prob.toFixed(3)), rawProbability: parseFloat(prob.toFixed(3)), independentProbability: parseFloat(independent.toFixed(3)), odds: prob > 0 ? parseFloat((1 / prob).toFixed(2)) : null, ...priceFields(prob, quotes[code]), meetsThreshold: false });
+  }
+
   allPredictions.sort((a, b) => b.probability - a.probability);
-  qualifiedPicks.sort((a, b) => b.probability - a.probability);
+  qualifiedPicks.sort(pickComparator(options.rankBy));
 
-  const today = new Date();
-  const isWeekend = [0, 5, 6].includes(today.getDay());
-  const maxTop = isWeekend ? 5 : 3;
+  const { isWeekend, maxTop } = maxPicksFor(options.asOf ? new Date(options.asOf) : new Date());
 
   const topPicks = qualifiedPicks.slice(0, maxTop).map((p, i) => ({
-    rank: i + 1, market: p.market, marketCode: p.marketCode,
+    rank: i + 1, market: p.market, marketCode: p.marketCode, selection: p.selection,
     probability: p.probability, confidence: p.confidence,
-    odds: p.odds, minRequired: p.minRequired
+    odds: p.odds, ...priceOf(p), minRequired: p.minRequired
   }));
 
   const bestPick = qualifiedPicks.length > 0 ? qualifiedPicks[0] : null;
@@ -211,35 +384,79 @@ async function predictMatch(homeTeam, awayTeam, competition) {
   let reasoning = '';
   if (homeStats) reasoning += homeTeam + ': ' + homeStats.games_played + ' games (' + homeStats.data_source + '). Home: ' + (homeStats.home_avg_goals_for || 0).toFixed(1) + ' GF, ' + (homeStats.home_avg_goals_against || 0).toFixed(1) + ' GA. ';
   if (awayStats) reasoning += awayTeam + ': ' + awayStats.games_played + ' games (' + awayStats.data_source + '). Away: ' + (awayStats.away_avg_goals_for || 0).toFixed(1) + ' GF, ' + (awayStats.away_avg_goals_against || 0).toFixed(1) + ' GA. ';
+  reasoning += prediction.reasoning;
+  const signed = (v) => (v >= 0 ? '+' : '') + v;
+  for (const f of reasoningFactors) {
+    reasoning += f.label + ': ' + f.detail + ' (home win ' + signed(f.effect.home_win) + 'pp, over 2.5 ' + signed(f.effect.over_25) + 'pp). ';
+  }
   reasoning += 'League: ' + leagueAvgs.source + '. DQ: ' + Math.round(dataQuality * 100) + '%. ';
-  if (bestPick) reasoning += bestPick.market + ' @ ' + Math.round(bestPick.probability * 100) + '% (' + bestPick.confidence + ').';
+  if (bestPick) reasoning += bestPick.selection + ' @ ' + Math.round(bestPick.probability * 100) + '% (' + bestPick.confidence + ').';
   else reasoning += 'No market met thresholds.';
 
   return {
     home_team: homeTeam, away_team: awayTeam,
     home_xg: parseFloat(homeXg.toFixed(2)), away_xg: parseFloat(awayXg.toFixed(2)),
-    best_pick: bestPick, all_predictions: allPredictions, top_picks: topPicks,
-    qualified_count: qualifiedPicks.length, reasoning,
+    best_pick: bestPick, all_predictions: allPredictions, top_picks: topPicks, qualified_picks: qualifiedPicks,
+    qualified_count: qualifiedPicks.length, reasoning, reasoning_factors: reasoningFactors,
     data_quality: Math.round(dataQuality * 100), strict_mode: isStrict,
+    effective_sample_size: { home: parseFloat(homeGames.toFixed(1)), away: parseFloat(awayGames.toFixed(1)) },
     status: bestPick ? 'PICK' : 'NO_PICK', is_weekend: isWeekend,
     max_picks_today: maxTop,
     data_source: { home: homeStats ? homeStats.data_source : 'none', away: awayStats ? awayStats.data_source : 'none' },
     league_source: leagueAvgs.source,
+    model: modelInfo,
+    goal_model: prediction.details.goal_model,
+    form: { home: form.home, away: form.away },
+    neutral_venue: neutral,
+    leagues: cross ? { home: cross.home.league, away: cross.away.league, home_factor: parseFloat(cross.home_factor.toFixed(3)), away_factor: parseFloat(cross.away_factor.toFixed(3)) } : null,
+    tournament: isTournament(competition) ? {
+      stage: options.stage || null, group: options.group || null,
+      standings: group ? { home: group.home, away: group.away } : null
+    } : null,
+    rest: rest ? { home: rest.home, away: rest.away, adjustment: rest.adjustment } : null,
+    h2h: h2h ? { meetings: h2h.meetings, weighted_meetings: h2h.weighted_meetings, weight: parseFloat(h2h.weight.toFixed(3)), home_goals: parseFloat(h2h.home_goals.toFixed(2)), away_goals: parseFloat(h2h.away_goals.toFixed(2)) } : null,
+    priors: usesPriors ? { home: homeStats.prior, away: awayStats.prior, season: strengths.season } : null,
+    elo: prediction.details.elo,
+    dixon_coles: prediction.details.dixon_coles,
     raw_probabilities: {
-      home_win: parseFloat((homeWin * 100).toFixed(1)),
-      draw: parseFloat((draw * 100).toFixed(1)),
-      away_win: parseFloat((awayWin * 100).toFixed(1)),
-      over_15: parseFloat((over15 * 100).toFixed(1)),
-      over_25: parseFloat((over25 * 100).toFixed(1)),
-      btts: parseFloat((btts * 100).toFixed(1))
-    }
+      home_win: parseFloat((rawProbs['1'] * 100).toFixed(1)),
+      draw: parseFloat((rawProbs['X'] * 100).toFixed(1)),
+      away_win: parseFloat((rawProbs['2'] * 100).toFixed(1)),
+      over_15: parseFloat((rawProbs['Over 1.5'] * 100).toFixed(1)),
+      over_25: parseFloat((rawProbs['Over 2.5'] * 100).toFixed(1)),
+      btts: parseFloat((rawProbs['BTTS Yes'] * 100).toFixed(1))
+    },
+    goal_distributions: {
+      home: homeDist.slice(0, 6).map(p => parseFloat(p.toFixed(3))),
+      away: awayDist.slice(0, 6).map(p => parseFloat(p.toFixed(3)))
+    },
+    correct_scores: [...topScores].map(c => ({ score: c.slice(3), probability: parseFloat(rawProbs[c].toFixed(3)) })),
+    // The adjusted score distribution, for callers that sample from it
+    ...(options.includeMatrix ? { score_matrix: matrix } : {})
   };
 }
 
-async function getAllPicks() {
+// Best qualified pick per fixture, strongest first, capped at maxTop.
+function rankTopPicks(allQualified, maxTop, rankBy = 'probability') {
+  const sorted = [...allQualified].sort(pickComparator(rankBy));
+  const seen = new Set();
+  const deduped = [];
+  for (const p of sorted) {
+    if (seen.has(p.fixture_id)) continue;
+    seen.add(p.fixture_id);
+    deduped.push(p);
+    if (deduped.length >= maxTop) break;
+  }
+  return deduped.map((p, i) => ({
+    rank: i + 1, fixture_id: p.fixture_id, match: p.match, league: p.league,
+    date: p.date, market: p.market, marketCode: p.marketCode, selection: p.selection,
+    probability: p.probability, confidence: p.confidence, odds: p.odds, ...priceOf(p), minRequired: p.minRequired
+  }));
+}
+
+async function getAllPicks(options = {}) {
   const today = new Date();
-  const isWeekend = [0, 5, 6].includes(today.getDay());
-  const maxTop = isWeekend ? 5 : 3;
+  const { isWeekend, maxTop } = maxPicksFor(today);
   const todayStr = today.toISOString().split('T')[0];
   const later = new Date(); later.setDate(later.getDate() + 14);
 
@@ -250,54 +467,49 @@ async function getAllPicks() {
     .order('match_date', { ascending: true });
 
   if (!fixtures || fixtures.length === 0) {
-    return { date: todayStr, is_weekend: isWeekend, max_picks: maxTop, all_predictions: [], top_picks: [], total_qualified: 0, total_found: 0 };
+    return { date: todayStr, is_weekend: isWeekend, max_picks: maxTop, rank_by: options.rankBy || 'probability', all_predictions: [], top_picks: [], value_bets: [], qualified_picks: [], total_qualified: 0, total_found: 0 };
   }
 
   const allPredictions = [];
   const allQualified = [];
+  const valueBets = [];
+  const oddsByFixture = await getBestOdds(fixtures.map(f => f.id));
+
+  const published = [];
 
   for (const f of fixtures) {
-    const pred = await predictMatch(f.home_team, f.away_team, f.competition_code || 'PL');
+    const pred = await predictMatch(f.home_team, f.away_team, f.competition_code || 'PL', { ...options, ...fixtureOptions(f), odds: oddsByFixture[f.id] });
+    published.push({ fixture: f, prediction: pred });
     allPredictions.push({
       fixture_id: f.id, match: f.home_team + ' vs ' + f.away_team,
       league: f.league, date: f.match_date,
       all_markets: pred.all_predictions, best_pick: pred.best_pick,
-      reasoning: pred.reasoning, data_quality: pred.data_quality, status: pred.status
+      reasoning: pred.reasoning, data_quality: pred.data_quality, status: pred.status,
+      model: pred.model
     });
     if (pred.top_picks) {
       pred.top_picks.forEach(p => {
-        allQualified.push({ fixture_id: f.id, match: f.home_team + ' vs ' + f.away_team, league: f.league, date: f.match_date, market: p.market, marketCode: p.marketCode, probability: p.probability, confidence: p.confidence, odds: p.odds, minRequired: p.minRequired });
+        allQualified.push({ fixture_id: f.id, match: f.home_team + ' vs ' + f.away_team, league: f.league, competition: f.competition_code, date: f.match_date, market: p.market, marketCode: p.marketCode, selection: p.selection, probability: p.probability, confidence: p.confidence, odds: p.odds, ...priceOf(p), minRequired: p.minRequired });
       });
     }
+    (pred.all_predictions || []).filter(p => p.value_bet).forEach(p => {
+      valueBets.push({ fixture_id: f.id, match: f.home_team + ' vs ' + f.away_team, league: f.league, date: f.match_date, market: p.market, marketCode: p.marketCode, selection: p.selection, probability: p.probability, odds: p.odds, ...priceOf(p) });
+    });
   }
+  valueBets.sort((a, b) => b.edge - a.edge);
 
-  allQualified.sort((a, b) => b.probability - a.probability);
-  const seen = new Set();
-  const deduped = [];
-  for (const p of allQualified) {
-    if (seen.has(p.fixture_id)) continue;
-    seen.add(p.fixture_id);
-    deduped.push(p);
-    if (deduped.length >= maxTop) break;
-  }
-
-  const topPicks = deduped.map((p, i) => ({
-    rank: i + 1, fixture_id: p.fixture_id, match: p.match, league: p.league,
-    date: p.date, market: p.market, marketCode: p.marketCode,
-    probability: p.probability, confidence: p.confidence, odds: p.odds, minRequired: p.minRequired
-  }));
+  const topPicks = rankTopPicks(allQualified, maxTop, options.rankBy);
 
-  return { date: todayStr, is_weekend: isWeekend, max_picks: maxTop, all_predictions: allPredictions, top_picks: topPicks, total_qualified: allQualified.length, total_found: allPredictions.length };
-}
+  // options.publish stores what is being shown (see prediction_store.js)
+  if (options.publish) {
+    try {
+      for (const e of published) e.topPick = topPicks.find(t => t.fixture_id === e.fixture.id) || null;
+      const stored = await publishPredictions(published);
+      if (stored.published > 0) console.log('📌 Published ' + stored.published + ' prediction revision(s)');
+    } catch (e) { console.error('Publish error:', e.message); }
+  }
 
-async function getStreakTracker(days = 30) {
-  const cutoff = new Date(); cutoff.setDate(cutoff.getDate() - days);
-  const { data: results } = await supabase.from('prediction_results').select('*').gte('created_at', cutoff.toISOString()).order('created_at', { ascending: false });
-  if (!results || results.length === 0) return { period: days + ' days', total_picks: 0, wins: 0, losses: 0, win_rate: 0, roi: 0 };
-  const wins = results.filter(r => r.result === 'WIN').length;
-  const total = results.length;
-  const profit = (wins * 1.80) - total;
-  return { period: days + ' days', total_picks: total, wins, losses: total - wins, win_rate: total > 0 ? Math.round((wins / total) * 100) : 0, roi: total > 0 ? ((profit / total) * 100).toFixed(1) : 0 };
+  return { date: todayStr, is_weekend: isWeekend, max_picks: maxTop, rank_by: options.rankBy || 'probability', all_predictions: allPredictions, top_picks: topPicks, value_bets: valueBets, qualified_picks: allQualified, total_qualified: allQualified.length, total_found: allPredictions.length };
 }
 
 async function updateTeamStatsAfterMatch(fixtureId) {
@@ -313,4 +525,4 @@ async function updateTeamStatsAfterMatch(fixtureId) {
   }
 }
 
-module.exports = { predictMatch, getStreakTracker, getAllPicks, updateTeamStatsAfterMatch };
\ No newline at end of file
+module.exports = { RANK_BY, predictMatch, getAllPicks, rankTopPicks, maxPicksFor, updateTeamStatsAfterMatch };
\ No newline at end of file
@@ -0,0 +1,237 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { MARKETS, COMBINABLE, OUTCOME_VALUE } = require('./markets');
+const { getFinishedFixtures } = require('./fixture_queries');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Probabilistic accuracy of published predictions: Brier score, log-loss and
+// ranked probability score for the 1X2 outcome, Brier and log-loss for every
+// binary (push-free) market stored with the prediction, using the model's
+// uncalibrated probability. Each prediction is the revision that stood at
+// kickoff, scored against the final score. The baseline is the league
+// average: outcome frequencies of the competition's results in the
+// BASELINE_LOOKBACK_DAYS before the range, updated as the range is walked
+// (add-one smoothed, so a league with no history starts uniform). Skill is
+// 1 - model / baseline; above zero the model beats the league average.
+
+const METRICS_DEFAULT_DAYS = 90;
+const METRICS_DEFAULT_WINDOW = 30;
+const ROLLING_STEP_DAYS = 7;
+const BASELINE_LOOKBACK_DAYS = 365;
+const PAGE_SIZE = 1000;
+const EPSILON = 1e-6;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Markets that settle to a plain win or loss.
+const METRIC_MARKETS = COMBINABLE;
+// all_probabilities key -> market code, for predictions stored before markets
+const LEGACY_MARKET_KEYS = { over_15: 'Over 1.5', over_25: 'Over 2.5', btts: 'BTTS Yes' };
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+const round = (x) => x == null ? null : parseFloat(x.toFixed(4));
+const clamp = (p) => Math.min(1 - EPSILON, Math.max(EPSILON, p));
+const outcomeOf = (f) => f.home_goals > f.away_goals ? 0 : f.home_goals === f.away_goals ? 1 : 2;
+
+// ?from=&to= (dates) or ?days=, ?competition=, ?model=, ?window= (days).
+function parseMetricsOptions(query = {}) {
+  // a date-only `to` includes that whole day
+  const date = (v, name, endOfDay = false) => {
+    if (!v) return null;
+    const d = new Date(v);
+    if (isNaN(d)) throw badRequest('Invalid ' + name + ': ' + v);
+    return endOfDay && DATE_ONLY.test(v) ? new Date(d.getTime() + 86400000 - 1) : d;
+  };
+  const to = date(query.to, 'to', true) || new Date();
+  let from = date(query.from, 'from');
+  if (!from) {
+    const days = query.days != null ? parseInt(query.days) : METRICS_DEFAULT_DAYS;
+    if (!(days > 0)) throw badRequest('days must be a positive number');
+    from = new Date(to.getTime() - days * 86400000);
+  }
+  if (to < from) throw badRequest('to must not be before from');
+  const window = query.window != null ? parseInt(query.window) : METRICS_DEFAULT_WINDOW;
+  if (!(window > 0)) throw badRequest('window must be a positive number of days');
+  return { from, to, window, competition: query.competition || null, model: query.model || null };
+}
+
+// The last revision of every fixture kicking off in [from, to].
+async function getPublishedInRange(from, to) {
+  const latest = new Map();
+  for (let start = 0; ; start += PAGE_SIZE) {
+    const { data, error } = await supabase.from('predictions')
+      .select('id, fixture_id, revision, all_probabilities, markets, model_id, model_version, kickoff')
+      .gte('kickoff', from.toISOString()).lte('kickoff', to.toISOString())
+      .order('fixture_id', { ascending: true }).order('revision', { ascending: false })
+      .range(start, start + PAGE_SIZE - 1);
+    if (error) throw error;
+    for (const p of data || []) if (!latest.has(p.fixture_id)) latest.set(p.fixture_id, p);
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return [...latest.values()];
+}
+
+// League-average probabilities before each fixture, walking the
+// competition's results in date order (fixtures kicking off together don't
+// see each other's results).
+function leagueBaselines(fixtures) {
+  const counts = {};
+  const baselines = new Map();
+  let pending = [];
+  const count = (f) => {
+    const c = counts[f.competition_code];
+    c.n++;
+    c.outcomes[outcomeOf(f)]++;
+    for (const code of METRIC_MARKETS) {
+      const y = OUTCOME_VALUE[MARKETS[code].settle(f.home_goals, f.away_goals)];
+      if (y == null) continue;
+      c.markets[code].n++;
+      c.markets[code].hits += y;
+    }
+  };
+  for (const f of fixtures) {
+    if (pending.length > 0 && pending[0].match_date !== f.match_date) { pending.forEach(count); pending = []; }
+    const c = counts[f.competition_code] = counts[f.competition_code] ||
+      { n: 0, outcomes: [0, 0, 0], markets: Object.fromEntries(METRIC_MARKETS.map(code => [code, { n: 0, hits: 0 }])) };
+    baselines.set(f.id, {
+      outcomes: c.outcomes.map(x => (x + 1) / (c.n + 3)),
+      markets: Object.fromEntries(Object.entries(c.markets).map(([code, x]) => [code, (x.hits + 1) / (x.n + 2)]))
+    });
+    pending.push(f);
+  }
+  return baselines;
+}
+
+// Market code -> model probability, from the stored markets (uncalibrated
+// where recorded), or all_probabilities for predictions stored without them.
+function marketProbabilities(prediction) {
+  const out = {};
+  for (const m of prediction.markets || []) {
+    if (m.combo || !METRIC_MARKETS.includes(m.marketCode)) continue;
+    const p = parseFloat(m.rawProbability != null ? m.rawProbability : m.probability);
+    if (!isNaN(p)) out[m.marketCode] = p;
+  }
+  if (Object.keys(out).length > 0) return out;
+  const probs = prediction.all_probabilities || {};
+  for (const [key, code] of Object.entries(LEGACY_MARKET_KEYS)) if (probs[key] != null) out[code] = parseFloat(probs[key]) / 100;
+  return out;
+}
+
+function sampleFor(prediction, fixture, baseline) {
+  const probs = prediction.all_probabilities || {};
+  const raw = [probs.home_win, probs.draw, probs.away_win].map(p => parseFloat(p) / 100);
+  const total = raw.reduce((s, p) => s + p, 0);
+  const markets = {};
+  for (const [code, p] of Object.entries(marketProbabilities(prediction))) {
+    const y = OUTCOME_VALUE[MARKETS[code].settle(fixture.home_goals, fixture.away_goals)];
+    if (y == null) continue;
+    markets[code] = { p, base: baseline.markets[code], y };
+  }
+  return {
+    competition: fixture.competition_code,
+    model: prediction.model_id ? prediction.model_id + '@' + prediction.model_version : 'unknown',
+    kickoff: new Date(fixture.match_date),
+    outcome: outcomeOf(fixture),
+    probabilities: raw.every(p => !isNaN(p)) && total > 0 ? raw.map(p => p / total) : null,
+    baseline: baseline.outcomes,
+    markets
+  };
+}
+
+// Scores of one forecast over the three ordered outcomes (home, draw, away).
+function scoreOutcomes(probabilities, outcome) {
+  const brier = probabilities.reduce((s, p, i) => s + Math.pow(p - (i === outcome ? 1 : 0), 2), 0);
+  let cumulative = 0;
+  let rps = 0;
+  for (let i = 0; i < 2; i++) {
+    cumulative += probabilities[i];
+    rps += Math.pow(cumulative - (outcome <= i ? 1 : 0), 2);
+  }
+  return { brier, log_loss: -Math.log(clamp(probabilities[outcome])), rps: rps / 2 };
+}
+
+function scoreBinary(p, y) {
+  return { brier: Math.pow(p - y, 2), log_loss: -(y * Math.log(clamp(p)) + (1 - y) * Math.log(clamp(1 - p))) };
+}
+
+function mean(scores) {
+  if (scores.length === 0) return null;
+  const out = {};
+  for (const key of Object.keys(scores[0])) out[key] = round(scores.reduce((s, x) => s + x[key], 0) / scores.length);
+  return out;
+}
+
+function skill(model, baseline) {
+  const out = {};
+  for (const key of Object.keys(model)) out[key] = baseline[key] > 0 ? round(1 - model[key] / baseline[key]) : null;
+  return out;
+}
+
+function compare(modelScores, baselineScores) {
+  const model = mean(modelScores);
+  if (!model) return null;
+  const baseline = mean(baselineScores);
+  return { samples: modelScores.length, model, baseline, skill: skill(model, baseline) };
+}
+
+function metricsBlock(samples) {
+  const scored = samples.filter(s => s.probabilities);
+  const markets = {};
+  for (const code of METRIC_MARKETS) {
+    const withMarket = samples.filter(s => s.markets[code]);
+    const block = compare(withMarket.map(s => scoreBinary(s.markets[code].p, s.markets[code].y)), withMarket.map(s => scoreBinary(s.markets[code].base, s.markets[code].y)));
+    if (block) markets[code] = block;
+  }
+  return {
+    matches: samples.length,
+    '1x2': compare(scored.map(s => scoreOutcomes(s.probabilities, s.outcome)), scored.map(s => scoreOutcomes(s.baseline, s.outcome))),
+    markets
+  };
+}
+
+function groupBy(samples, keyOf) {
+  const groups = {};
+  for (const s of samples) (groups[keyOf(s)] = groups[keyOf(s)] || []).push(s);
+  const out = {};
+  for (const key of Object.keys(groups).sort()) out[key] = metricsBlock(groups[key]);
+  return out;
+}
+
+// Metrics over the trailing `window` days, every ROLLING_STEP_DAYS up to `to`.
+function rollingMetrics(samples, from, to, window) {
+  const points = [];
+  for (let end = to.getTime(); end > from.getTime(); end -= ROLLING_STEP_DAYS * 86400000) {
+    const start = end - window * 86400000;
+    const inWindow = samples.filter(s => s.kickoff.getTime() > start && s.kickoff.getTime() <= end);
+    if (inWindow.length > 0) points.push({ end: new Date(end).toISOString(), ...metricsBlock(inWindow) });
+  }
+  return points.reverse();
+}
+
+async function getPredictionMetrics({ from, to = new Date(), window = METRICS_DEFAULT_WINDOW, competition = null, model = null } = {}) {
+  from = from || new Date(to.getTime() - METRICS_DEFAULT_DAYS * 86400000);
+  const published = (await getPublishedInRange(from, to)).filter(p => !model || p.model_id === model);
+  const since = new Date(from.getTime() - BASELINE_LOOKBACK_DAYS * 86400000);
+  const fixtures = await getFinishedFixtures({ competition, since, before: to });
+  const baselines = leagueBaselines(fixtures);
+  const byId = new Map(fixtures.map(f => [f.id, f]));
+
+  const samples = published
+    .filter(p => byId.has(p.fixture_id) && (p.all_probabilities || p.markets))
+    .map(p => sampleFor(p, byId.get(p.fixture_id), baselines.get(p.fixture_id)))
+    .sort((a, b) => a.kickoff - b.kickoff);
+
+  return {
+    from: from.toISOString(), to: to.toISOString(),
+    competition, model, window_days: window,
+    overall: metricsBlock(samples),
+    by_competition: groupBy(samples, s => s.competition),
+    by_model: groupBy(samples, s => s.model),
+    rolling: rollingMetrics(samples, from, to, window)
+  };
+}
+
+module.exports = { METRIC_MARKETS, BASELINE_LOOKBACK_DAYS, parseMetricsOptions, scoreOutcomes, scoreBinary, getPredictionMetrics };
@@ -0,0 +1,110 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Published predictions. Every fixture the pick endpoints show is stored the
+// first time it is published; until kickoff a prediction that changes (new
+// results, new odds, another top-pick rank) is stored as the next revision,
+// and from kickoff nothing more is written. Rows are never updated (the
+// schema refuses it), so the last revision of a fixture is exactly what
+// users saw when the match started. Whether a fixture is still open is
+// decided by its kickoff time alone: the fixture sync stores football-data's
+// TIMED matches as LIVE, so the status says nothing reliable before kickoff.
+
+// Everything the engine used to reach the prediction, minus the markets.
+function modelInputs(pred) {
+  return {
+    home_xg: pred.home_xg, away_xg: pred.away_xg, goal_model: pred.goal_model,
+    data_source: pred.data_source, league_source: pred.league_source,
+    effective_sample_size: pred.effective_sample_size, strict_mode: pred.strict_mode,
+    elo: pred.elo || null, dixon_coles: pred.dixon_coles || null, priors: pred.priors || null,
+    form: pred.form || null, rest: pred.rest || null, h2h: pred.h2h || null,
+    leagues: pred.leagues || null, tournament: pred.tournament || null, neutral_venue: pred.neutral_venue,
+    reasoning_factors: pred.reasoning_factors || []
+  };
+}
+
+// `topPick` is the fixture's entry in the published top picks, if any; the
+// best_* columns then describe that pick.
+function snapshotRow(fixture, pred, topPick = null) {
+  const best = topPick || pred.best_pick || null;
+  // every market that cleared its threshold and the form check (not just the
+  // top picks) carries its confidence tier
+  const qualified = new Map((pred.qualified_picks || pred.top_picks || []).map(p => [p.marketCode, p.confidence]));
+  const row = {
+    fixture_id: fixture.id,
+    status: best ? 'PICK' : 'NO_PICK',
+    best_market: best ? best.market : null,
+    best_market_code: best ? best.marketCode : null,
+    best_probability: best ? best.probability : null,
+    best_raw_probability: best && best.rawProbability != null ? best.rawProbability
+      : best && pred.best_pick && pred.best_pick.marketCode === best.marketCode ? pred.best_pick.rawProbability : null,
+    confidence: best ? best.confidence : null,
+    best_price: best && best.price != null ? best.price : null,
+    best_bookmaker: best && best.bookmaker ? best.bookmaker : null,
+    top_pick_rank: topPick ? topPick.rank : null,
+    all_probabilities: pred.raw_probabilities || null,
+    markets: (pred.all_predictions || []).map(m => qualified.has(m.marketCode) ? { ...m, qualified: true, confidence: qualified.get(m.marketCode) } : m),
+    model_inputs: modelInputs(pred),
+    reasoning: pred.reasoning,
+    data_quality: pred.data_quality || 0,
+    strict_mode: !!pred.strict_mode,
+    model_id: pred.model ? pred.model.id : null,
+    model_version: pred.model ? pred.model.version : null,
+    kickoff: fixture.match_date
+  };
+  row.content_hash = crypto.createHash('sha1').update(JSON.stringify({ ...row, kickoff: undefined })).digest('hex');
+  return row;
+}
+
+async function latestRevisions(fixtureIds) {
+  const latest = {};
+  if (fixtureIds.length === 0) return latest;
+  const { data, error } = await supabase.from('predictions').select('fixture_id, revision, content_hash')
+    .in('fixture_id', fixtureIds).order('revision', { ascending: false });
+  if (error) throw error;
+  for (const r of data || []) if (!latest[r.fixture_id]) latest[r.fixture_id] = r;
+  return latest;
+}
+
+// `entries`: [{ fixture, prediction, topPick }]. Fixtures that have kicked
+// off are skipped; unchanged predictions are not stored again.
+async function publishPredictions(entries, now = new Date()) {
+  const open = entries.filter(e => e.fixture.id && new Date(e.fixture.match_date) > now);
+  const latest = await latestRevisions(open.map(e => e.fixture.id));
+  const rows = [];
+  for (const e of open) {
+    const row = snapshotRow(e.fixture, e.prediction, e.topPick);
+    const prev = latest[e.fixture.id];
+    if (prev && prev.content_hash === row.content_hash) continue;
+    rows.push({ ...row, revision: prev ? prev.revision + 1 : 1, published_at: now.toISOString() });
+  }
+  if (rows.length > 0) {
+    const { error } = await supabase.from('predictions').insert(rows);
+    if (error) throw error;
+  }
+  return { published: rows.length, unchanged: open.length - rows.length, frozen: entries.length - open.length };
+}
+
+// The revision that stood at kickoff (the latest one, since nothing is
+// written after it), or null if the fixture was never published.
+async function getPublishedPrediction(fixtureId) {
+  const { data, error } = await supabase.from('predictions').select('*')
+    .eq('fixture_id', fixtureId).order('revision', { ascending: false }).limit(1);
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+async function getPredictionHistory(fixtureId) {
+  const { data, error } = await supabase.from('predictions').select('*')
+    .eq('fixture_id', fixtureId).order('revision', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+module.exports = { snapshotRow, publishPredictions, getPublishedPrediction, getPredictionHistory };
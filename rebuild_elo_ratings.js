@@ -0,0 +1,15 @@
+const { rebuildEloRatings } = require('./elo_ratings');
+require('dotenv').config();
+
+// Usage: node rebuild_elo_ratings.js   (one rating per team from every FT fixture)
+async function rebuildAll() {
+  console.log('=== REBUILDING ELO RATINGS FROM FT FIXTURES ===\n');
+  const result = await rebuildEloRatings();
+  console.log(`   ✅ ${result.teams} teams rated from ${result.matches} matches`);
+  console.log('\nDone. Ratings: curl http://localhost:3001/api/ratings/PL');
+}
+
+rebuildAll().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
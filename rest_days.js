@@ -0,0 +1,84 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Rest and fixture congestion from the fixtures table across every
+// competition code, so a midweek European tie counts against the weekend
+// league match. Fatigue (0..1) combines a short turnaround with too many
+// matches in the last CONGESTION_WINDOW_DAYS; at full fatigue a side scores
+// exp(-strength) and concedes exp(strength) times its expected goals.
+
+const REST_STRENGTH = process.env.REST_STRENGTH != null ? parseFloat(process.env.REST_STRENGTH) : 0.06;
+const FULL_REST_DAYS = 6;          // this much rest (or more) counts as fully rested
+const CONGESTION_WINDOW_DAYS = 14;
+const CONGESTION_BASE = 2;         // a match a week is the normal load
+const REST_LOOKBACK_DAYS = 30;
+const NOT_PLAYED = ['POSTPONED', 'CANCELLED', 'ABANDONED'];
+
+// Rest before `kickoff` for `team` from `matches` (any competition, any
+// order). Only dates are read, so scheduled fixtures count too.
+function restProfile(matches, team, kickoff) {
+  const ko = new Date(kickoff).getTime();
+  const played = matches
+    .filter(m => (m.home_team === team || m.away_team === team) && !NOT_PLAYED.includes(m.status))
+    .map(m => ({ time: new Date(m.match_date).getTime(), competition: m.competition_code }))
+    .filter(m => m.time < ko && ko - m.time <= REST_LOOKBACK_DAYS * 86400000)
+    .sort((a, b) => b.time - a.time);
+  const last = played[0];
+  return {
+    days_rest: last ? parseFloat(((ko - last.time) / 86400000).toFixed(1)) : null,
+    matches_14d: played.filter(m => ko - m.time <= CONGESTION_WINDOW_DAYS * 86400000).length,
+    last_match: last ? { date: new Date(last.time).toISOString(), competition: last.competition } : null
+  };
+}
+
+function fatigueOf(profile) {
+  const shortRest = profile.days_rest != null ? Math.max(FULL_REST_DAYS - profile.days_rest, 0) / FULL_REST_DAYS : 0;
+  const congestion = Math.max(profile.matches_14d - CONGESTION_BASE, 0) / CONGESTION_BASE;
+  return parseFloat(Math.min(shortRest + 0.5 * congestion, 1).toFixed(3));
+}
+
+// Expected-goals factors for the two sides, null when they are equally tired.
+function restAdjustment(home, away, strength = REST_STRENGTH) {
+  const hf = fatigueOf(home);
+  const af = fatigueOf(away);
+  if (!strength || hf === af) return null;
+  return {
+    home_fatigue: hf, away_fatigue: af,
+    home_factor: Math.exp(strength * (af - hf)),
+    away_factor: Math.exp(strength * (hf - af))
+  };
+}
+
+async function teamMatches(team, since, before) {
+  const rows = [];
+  for (const column of ['home_team', 'away_team']) {
+    const { data, error } = await supabase.from('fixtures')
+      .select('home_team, away_team, match_date, competition_code, status')
+      .eq(column, team).gte('match_date', since.toISOString()).lt('match_date', before.toISOString());
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+// { home, away, adjustment } for a fixture. Backtest snapshots carry the
+// all-competition `schedule` instead of querying.
+async function getRestAdjustment(homeTeam, awayTeam, kickoff, { snapshot = null, strength = REST_STRENGTH } = {}) {
+  try {
+    const ko = new Date(kickoff);
+    const since = new Date(ko.getTime() - REST_LOOKBACK_DAYS * 86400000);
+    const matches = snapshot && snapshot.schedule
+      ? snapshot.schedule
+      : [...await teamMatches(homeTeam, since, ko), ...await teamMatches(awayTeam, since, ko)];
+    const home = restProfile(matches, homeTeam, ko);
+    const away = restProfile(matches, awayTeam, ko);
+    return { home, away, adjustment: restAdjustment(home, away, strength) };
+  } catch (e) { console.error('Rest days error:', e.message); return null; }
+}
+
+module.exports = { REST_STRENGTH, REST_LOOKBACK_DAYS, restProfile, fatigueOf, restAdjustment, getRestAdjustment };
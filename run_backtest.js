@@ -0,0 +1,54 @@
+const { runBacktest } = require('./backtest');
+require('dotenv').config();
+
+// Usage: node run_backtest.js CODE [SEASON] [--model=ID] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--h2h] [--picks]
+const args = process.argv.slice(2);
+const flags = {};
+const positional = [];
+for (const a of args) {
+  const m = /^--(\w+)(?:=(.*))?$/.exec(a);
+  if (m) flags[m[1]] = m[2] === undefined ? true : m[2];
+  else positional.push(a);
+}
+
+const fmt = (v, suffix = '') => v == null ? '-' : v + suffix;
+
+function printTable(title, rows) {
+  console.log(`\n${title}`);
+  console.log('   ' + 'key'.padEnd(20) + 'picks'.padStart(7) + 'hit%'.padStart(8) + 'roi%'.padStart(8) + 'brier'.padStart(9) + 'logloss'.padStart(9) + 'n'.padStart(7));
+  for (const [key, s] of rows) {
+    console.log('   ' + key.padEnd(20) + String(s.picks).padStart(7) + fmt(s.hit_rate).padStart(8) + fmt(s.roi).padStart(8) + fmt(s.brier).padStart(9) + fmt(s.log_loss).padStart(9) + String(s.samples).padStart(7));
+  }
+}
+
+async function main() {
+  const competition = (positional[0] || '').toUpperCase();
+  if (!competition) {
+    console.log('Usage: node run_backtest.js CODE [SEASON] [--model=ID] [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--h2h] [--picks]');
+    process.exit(1);
+  }
+  console.log(`=== BACKTEST ${competition}${positional[1] ? ' ' + positional[1] : ''} ===`);
+  const result = await runBacktest({
+    competition, season: positional[1] || null, from: flags.from || null, to: flags.to || null,
+    model: flags.model || null, h2h: flags.h2h ? true : null, includePicks: !!flags.picks
+  });
+
+  console.log(`   Model: ${result.model.id} ${result.model.version}`);
+  console.log(`   ${result.from} → ${result.to}: ${result.days} match days, ${result.fixtures} fixtures, ${result.predicted} predicted, ${result.skipped} skipped`);
+  const s = result.summary;
+  console.log(`   Top picks: ${s.picks} (${s.settled} settled), hit rate ${fmt(s.hit_rate, '%')}, ROI ${fmt(s.roi, '%')}, profit ${s.profit}u`);
+  console.log(`   All markets: Brier ${fmt(s.brier)}, log-loss ${fmt(s.log_loss)} over ${s.samples} predictions`);
+
+  printTable('By confidence (top picks):', Object.entries(result.by_confidence));
+  printTable('By market:', Object.entries(result.by_market).sort((a, b) => b[1].picks - a[1].picks || a[0].localeCompare(b[0])));
+
+  if (result.picks) {
+    console.log('\nPicks:');
+    result.picks.forEach(p => console.log(`   ${p.date.split('T')[0]} ${p.match.padEnd(40)} ${p.selection.padEnd(30)} ${(p.probability * 100).toFixed(0)}% ${p.confidence.padEnd(6)} ${p.score} ${p.result}`));
+  }
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err.message);
+  process.exit(1);
+});
@@ -1,5 +1,8 @@
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const { rebuildEloRatings } = require('./elo_ratings');
+const { refreshForm } = require('./form_engine');
+const { settlePending } = require('./settlement');
 require('dotenv').config();
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
@@ -80,7 +83,8 @@ async function safeSync() {
       .from('fixtures')
       .select('home_team, away_team, match_date')
       .eq('competition_code', code)
-      .eq('season', '2026');
+      .eq('season', '2026')
+      .eq('status', 'FT');
 
     const keys = new Set();
     if (existing) existing.forEach(f => keys.add(`${f.home_team}|${f.away_team}|${f.match_date}`));
@@ -109,18 +113,30 @@ async function safeSync() {
     if (toInsert.length === 0) {
       console.log(`   ✅ All ${validMatches.length} already in database`);
     } else {
-      const { error } = await supabase.from('fixtures').insert(toInsert);
+      // upsert so a fixture already stored as NS moves to FT
+      const { error } = await supabase.from('fixtures').upsert(toInsert, { onConflict: 'home_team,away_team,match_date' });
       if (error) {
         console.log(`   ❌ Insert error: ${error.message}`);
       } else {
         console.log(`   ✅ Saved ${toInsert.length} new matches`);
         totalSaved += toInsert.length;
+        const form = await refreshForm(code);
+        console.log(`   ✅ Form updated for ${form.updated} teams`);
       }
     }
 
+    const settlement = await settlePending({ competition: code });
+    console.log(`   ✅ Settled predictions for ${settlement.settled} fixtures`);
+
     await delay(6000);
   }
 
+  // one rating per team across competitions, so rebuild once at the end
+  if (totalSaved > 0) {
+    const elo = await rebuildEloRatings();
+    console.log(`\n✅ Elo ratings rebuilt for ${elo.teams} teams`);
+  }
+
   console.log('\n========================================');
   console.log('SAFE SYNC COMPLETE');
   console.log(`Total new matches saved: ${totalSaved}`);
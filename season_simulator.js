@@ -0,0 +1,201 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { predictMatch } = require('./prediction_engine_v2');
+const { scoreMatrix } = require('./dixon_coles');
+const { fixtureOptions, isTournament } = require('./tournament');
+const { isPending } = require('./fixture_queries');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Monte Carlo season simulator. Every remaining fixture of a league
+// season gets the engine's adjusted score matrix; each run draws a score for
+// all of them, adds the results to the current table and ranks it (points,
+// goal difference, goals scored, then a coin toss). Results are cached per
+// competition until the set of FT results for the season changes.
+
+const SIMULATION_RUNS = parseInt(process.env.SIMULATION_RUNS) || 10000;
+const MAX_SIMULATION_RUNS = 50000;
+
+// Places per league: title, top four, European places and relegation.
+const DEFAULT_ZONES = { title: 1, top: 4, europe: 6, relegation: 3 };
+const LEAGUE_ZONES = {
+  'PL': { europe: 7 }, 'PD': { europe: 7 }, 'SA': { europe: 7 },
+  'BL1': { europe: 7, relegation: 2 }, 'FL1': { relegation: 2 },
+  'DED': { europe: 5, relegation: 2 }, 'PPL': { europe: 5, relegation: 2 },
+  'BSA': { relegation: 4 }
+};
+
+const simulationCache = new Map();
+
+const zonesFor = (competition) => ({ ...DEFAULT_ZONES, ...(LEAGUE_ZONES[competition] || {}) });
+const pct = (n, d) => parseFloat((n / d * 100).toFixed(1));
+
+// Cumulative distribution over the flattened matrix for inverse sampling.
+function samplerFor(matrix) {
+  const size = matrix.length;
+  const cdf = new Float64Array(size * size);
+  let total = 0;
+  for (let h = 0; h < size; h++) for (let a = 0; a < size; a++) cdf[h * size + a] = total += matrix[h][a];
+  return (u) => {
+    const x = u * total;
+    let lo = 0, hi = cdf.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cdf[mid] < x) lo = mid + 1; else hi = mid;
+    }
+    return [Math.floor(lo / size), lo % size];
+  };
+}
+
+function addResult(row, gf, ga) {
+  row.played++;
+  row.goals_for += gf;
+  row.goals_against += ga;
+  row.points += gf > ga ? 3 : gf === ga ? 1 : 0;
+}
+
+// Current table from FT fixtures: { team: { played, points, goals_for, goals_against } }.
+function currentTable(played, teams) {
+  const table = {};
+  for (const t of teams) table[t] = { team: t, played: 0, points: 0, goals_for: 0, goals_against: 0 };
+  for (const f of played) {
+    addResult(table[f.home_team], f.home_goals, f.away_goals);
+    addResult(table[f.away_team], f.away_goals, f.home_goals);
+  }
+  return table;
+}
+
+// `remaining`: [{ home_team, away_team, matrix }]. Pure, so it can be run on
+// synthetic seasons; `random` defaults to Math.random.
+function simulateSeason(played, remaining, { runs = SIMULATION_RUNS, zones = DEFAULT_ZONES, random = Math.random } = {}) {
+  const teams = [...new Set([...played, ...remaining].flatMap(f => [f.home_team, f.away_team]))].sort();
+  const n = teams.length;
+  const index = Object.fromEntries(teams.map((t, i) => [t, i]));
+  const table = currentTable(played, teams);
+  const basePoints = teams.map(t => table[t].points);
+  const baseGd = teams.map(t => table[t].goals_for - table[t].goals_against);
+  const baseGf = teams.map(t => table[t].goals_for);
+  const games = remaining.map(f => ({ h: index[f.home_team], a: index[f.away_team], sample: samplerFor(f.matrix) }));
+
+  const positions = teams.map(() => new Array(n).fill(0));
+  const pointsSum = new Float64Array(n), gdSum = new Float64Array(n);
+  const points = new Int32Array(n), gd = new Int32Array(n), gf = new Int32Array(n);
+  const tiebreak = new Float64Array(n);
+  const order = teams.map((_, i) => i);
+
+  for (let run = 0; run < runs; run++) {
+    points.set(basePoints); gd.set(baseGd); gf.set(baseGf);
+    for (const g of games) {
+      const [hg, ag] = g.sample(random());
+      points[g.h] += hg > ag ? 3 : hg === ag ? 1 : 0;
+      points[g.a] += ag > hg ? 3 : hg === ag ? 1 : 0;
+      gd[g.h] += hg - ag; gd[g.a] += ag - hg;
+      gf[g.h] += hg; gf[g.a] += ag;
+    }
+    for (let i = 0; i < n; i++) tiebreak[i] = random();
+    order.sort((x, y) => points[y] - points[x] || gd[y] - gd[x] || gf[y] - gf[x] || tiebreak[y] - tiebreak[x]);
+    for (let p = 0; p < n; p++) positions[order[p]][p]++;
+    for (let i = 0; i < n; i++) { pointsSum[i] += points[i]; gdSum[i] += gd[i]; }
+  }
+
+  const within = (counts, from, to) => counts.slice(from, to).reduce((s, c) => s + c, 0);
+  const rows = teams.map((t, i) => {
+    const counts = positions[i];
+    const mostLikely = counts.indexOf(Math.max(...counts));
+    return {
+      team: t,
+      played: table[t].played,
+      points: table[t].points,
+      goal_difference: baseGd[i],
+      remaining: games.filter(g => g.h === i || g.a === i).length,
+      projected_points: parseFloat((pointsSum[i] / runs).toFixed(1)),
+      projected_goal_difference: parseFloat((gdSum[i] / runs).toFixed(1)),
+      average_position: parseFloat((counts.reduce((s, c, p) => s + c * (p + 1), 0) / runs).toFixed(2)),
+      most_likely_position: mostLikely + 1,
+      title: pct(within(counts, 0, zones.title), runs),
+      top_4: pct(within(counts, 0, zones.top), runs),
+      europe: pct(within(counts, 0, zones.europe), runs),
+      relegation: pct(within(counts, n - zones.relegation, n), runs),
+      positions: counts.map(c => pct(c, runs))
+    };
+  });
+  return rows.sort((a, b) => b.projected_points - a.projected_points || a.average_position - b.average_position);
+}
+
+async function latestSeason(competition) {
+  const { data, error } = await supabase.from('fixtures').select('season')
+    .eq('competition_code', competition).order('match_date', { ascending: false }).limit(1);
+  if (error) throw error;
+  return data && data.length > 0 ? data[0].season : null;
+}
+
+async function seasonFixtures(competition, season) {
+  const { data, error } = await supabase.from('fixtures').select('*')
+    .eq('competition_code', competition).eq('season', season).order('match_date', { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+// Score matrices for the remaining fixtures. A fixture the engine cannot
+// price (missing data) falls back to the season's average home/away score.
+async function remainingMatrices(competition, fixtures, played) {
+  const avg = (fn) => played.length > 0 ? played.reduce((s, f) => s + fn(f), 0) / played.length : null;
+  const fallback = scoreMatrix(avg(f => f.home_goals) || 1.5, avg(f => f.away_goals) || 1.2);
+  const out = [];
+  let fallbacks = 0;
+  for (const f of fixtures) {
+    let matrix = null;
+    try {
+      const prediction = await predictMatch(f.home_team, f.away_team, competition, { ...fixtureOptions(f), includeMatrix: true });
+      matrix = prediction.score_matrix || null;
+    } catch (e) { console.error('Simulation predict error (' + f.home_team + ' v ' + f.away_team + '):', e.message); }
+    if (!matrix) fallbacks++;
+    out.push({ home_team: f.home_team, away_team: f.away_team, matrix: matrix || fallback });
+  }
+  return { remaining: out, fallbacks };
+}
+
+async function getSeasonSimulation(competition, { runs = SIMULATION_RUNS, season = null } = {}) {
+  if (isTournament(competition)) {
+    const err = new Error('Season simulation is for league competitions; ' + competition + ' is a tournament');
+    err.status = 400;
+    throw err;
+  }
+  runs = Math.min(Math.max(parseInt(runs) || SIMULATION_RUNS, 100), MAX_SIMULATION_RUNS);
+  season = season || await latestSeason(competition);
+  if (!season) {
+    const err = new Error('No fixtures for ' + competition);
+    err.status = 404;
+    throw err;
+  }
+
+  const fixtures = await seasonFixtures(competition, season);
+  const played = fixtures.filter(f => f.status === 'FT' && f.home_goals != null && f.away_goals != null);
+  const pending = fixtures.filter(isPending);
+  // Any new or corrected result changes the key.
+  const resultsKey = played.map(f => f.id + ':' + f.home_goals + '-' + f.away_goals).join(',');
+  const cacheKey = competition + ':' + season + ':' + runs;
+  const cached = simulationCache.get(cacheKey);
+  if (cached && cached.resultsKey === resultsKey) return cached.result;
+
+  const { remaining, fallbacks } = await remainingMatrices(competition, pending, played);
+  const zones = zonesFor(competition);
+  const result = {
+    competition, season, runs,
+    played: played.length, remaining: remaining.length, fallback_matrices: fallbacks,
+    zones,
+    generated_at: new Date().toISOString(),
+    teams: simulateSeason(played, remaining, { runs, zones })
+  };
+  simulationCache.set(cacheKey, { resultsKey, result });
+  return result;
+}
+
+function invalidateSimulation(competition) {
+  for (const key of simulationCache.keys()) if (!competition || key.startsWith(competition + ':')) simulationCache.delete(key);
+}
+
+module.exports = { SIMULATION_RUNS, LEAGUE_ZONES, simulateSeason, getSeasonSimulation, invalidateSimulation };
@@ -3,15 +3,35 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const { createClient } = require('@supabase/supabase-js');
-const { predictMatch, getStreakTracker, getAllPicks, updateTeamStatsAfterMatch } = require('./prediction_engine_v2');
+const { RANK_BY, predictMatch, getAllPicks, updateTeamStatsAfterMatch } = require('./prediction_engine_v2');
 const { getMatches, COMPETITIONS } = require('./football_data_service');
+const { invalidateDixonColesModel } = require('./dixon_coles');
+const { rebuildEloRatings, updateEloForFixture, getEloRatings, getRatingHistory } = require('./elo_ratings');
+const { resolveModel, listModels } = require('./model_registry');
+const { fitCalibrationMaps, getReliabilityDiagram } = require('./calibration');
+const { runBacktest } = require('./backtest');
+const { importOdds, getBestOdds, getFixtureOdds } = require('./odds_service');
+const { listThresholds, setThreshold, deleteThreshold, getThresholdAudit, getMarketThresholds } = require('./market_thresholds');
+const { optimiseThresholds, promoteThresholds } = require('./threshold_optimiser');
+const { getHeadToHead } = require('./head_to_head');
+const { getFormTable, getTeamForm, refreshForm } = require('./form_engine');
+const { isContinental, getLeagueStrengths, invalidateLeagueStrengths } = require('./league_strength');
+const { parseAccumulatorOptions, buildAccumulators } = require('./accumulator');
+const { priceBetBuilder } = require('./bet_builder');
+const { publishPredictions, getPredictionHistory } = require('./prediction_store');
+const { VOID_STATUSES, settleFixture, settlePending } = require('./settlement');
+const { parsePerformanceOptions, getPerformance } = require('./performance');
+const { parseMetricsOptions, getPredictionMetrics } = require('./prediction_metrics');
+const { getSeasonSimulation, invalidateSimulation } = require('./season_simulator');
+const { getKnockoutSimulation, invalidateKnockout, getTieQualification } = require('./knockout_simulator');
+const { isNationalTeam, defaultNeutral, fixtureOptions, getInternationalStrengths, invalidateInternationalStrengths, getGroupTables } = require('./tournament');
 
 // Prediction cache - prevents re-computing on every request
 const predictionCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
-function getCachedPredictions() {
-  const key = 'all_picks_' + new Date().toDateString();
+function getCachedPredictions(variant = 'default') {
+  const key = 'all_picks_' + variant + '_' + new Date().toDateString();
   const cached = predictionCache.get(key);
   if (cached && Date.now() - cached.time < CACHE_TTL) {
     console.log('✅ Returning cached predictions');
@@ -20,8 +40,8 @@ function getCachedPredictions() {
   return null;
 }
 
-function setCachedPredictions(data) {
-  const key = 'all_picks_' + new Date().toDateString();
+function setCachedPredictions(data, variant = 'default') {
+  const key = 'all_picks_' + variant + '_' + new Date().toDateString();
   predictionCache.set(key, { data, time: Date.now() });
   console.log('✅ Predictions cached for 5 minutes');
 }
@@ -40,7 +60,7 @@ app.use(cors({
     'https://beta-front-lnqk-pi.vercel.app'
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-key', 'x-admin-user']
 }));
 app.use(express.json());
 
@@ -49,6 +69,50 @@ const supabase = createClient(
   process.env.SUPABASE_ANON_KEY
 );
 
+// ?model= (or body.model) selects a registered prediction model; unknown ids
+// are rejected with 400 before any work is done.
+function modelOptions(req) {
+  const model = req.query.model || (req.body && req.body.model);
+  if (model) resolveModel(model);
+  return model ? { model } : {};
+}
+
+// Admin routes need ADMIN_API_KEY, sent as x-admin-key or a Bearer token.
+// With no key configured they are switched off entirely. x-admin-user names
+// the person acting, for audit trails.
+function requireAdmin(req, res, next) {
+  const key = process.env.ADMIN_API_KEY;
+  if (!key) return res.status(503).json({ error: 'Admin API disabled: ADMIN_API_KEY not set' });
+  const auth = req.headers.authorization || '';
+  const supplied = req.headers['x-admin-key'] || (auth.startsWith('Bearer ') ? auth.slice(7) : null);
+  if (supplied !== key) return res.status(401).json({ error: 'Unauthorized' });
+  req.adminUser = req.headers['x-admin-user'] || 'admin';
+  next();
+}
+
+// modelOptions plus ?rank=probability|ev for the pick lists.
+function pickOptions(req) {
+  const options = modelOptions(req);
+  const rankBy = req.query.rank || (req.body && req.body.rank);
+  if (rankBy && !RANK_BY.includes(rankBy)) {
+    throw Object.assign(new Error('Invalid rank: ' + rankBy), { status: 400, available: RANK_BY });
+  }
+  if (rankBy) options.rankBy = rankBy;
+  const h2h = req.query.h2h != null ? req.query.h2h : (req.body && req.body.h2h);
+  if (h2h != null) options.h2h = h2h === true || h2h === 'true' || h2h === '1';
+  return options;
+}
+
+// Only the default view is published (stored for tracking); ?model= and
+// ?rank= variants are what-ifs.
+const publishOptions = (options) => ({ ...options, publish: cacheVariant(options) === 'default' });
+
+const cacheVariant = (options) => [options.model, options.rankBy, options.h2h != null && (options.h2h ? 'h2h' : 'noh2h')].filter(Boolean).join('_') || 'default';
+
+function sendError(res, error) {
+  res.status(error.status || 500).json(error.available ? { error: error.message, available: error.available } : { error: error.message });
+}
+
 
 
 // ============ HEALTH ============
@@ -70,26 +134,28 @@ app.get('/api/health', (req, res) => {
 
 // ============ ALL PREDICTIONS + TOP PICKS ============
 app.get('/api/picks/all', async (req, res) => {
-  // Check cache first
-  const cached = getCachedPredictions();
-  if (cached) {
-    return res.json(cached);
-  }
-
   try {
-    const result = await getAllPicks();
-    setCachedPredictions(result);
+    const options = pickOptions(req);
+
+    // Check cache first
+    const cached = getCachedPredictions(cacheVariant(options));
+    if (cached) {
+      return res.json(cached);
+    }
+
+    const result = await getAllPicks(publishOptions(options));
+    setCachedPredictions(result, cacheVariant(options));
     res.json(result);
   } catch (error) {
     console.error('All picks error:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // ============ TOP PICKS ONLY (convenience endpoint) ============
 app.get('/api/picks/top', async (req, res) => {
   try {
-    const result = await getAllPicks();
+    const result = await getAllPicks(publishOptions(pickOptions(req)));
     
     // DEDUPLICATE TOP PICKS - each fixture only once (keep highest probability)
     const seenFixtures = new Set();
@@ -103,34 +169,81 @@ app.get('/api/picks/top', async (req, res) => {
       date: result.date,
       is_weekend: result.is_weekend,
       max_picks: result.max_picks,
+      rank_by: result.rank_by,
       top_picks: result.top_picks,
       total_found: result.total_found
     });
   } catch (error) {
     console.error('Top picks error:', error);
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// ============ ACCUMULATORS ============
+// ?target_odds= or ?min_probability=, ?legs= (max, 2-6), ?leagues=PL,PD,
+// ?exclude=BSA, ?limit=; legs come from the same qualified picks as
+// /api/picks/all and never share a fixture.
+app.get('/api/picks/accumulator', async (req, res) => {
+  try {
+    const options = pickOptions(req);
+    const accaOptions = parseAccumulatorOptions(req.query);
+    let result = getCachedPredictions(cacheVariant(options));
+    if (!result) {
+      result = await getAllPicks(publishOptions(options));
+      setCachedPredictions(result, cacheVariant(options));
+    }
+    res.json({
+      date: result.date,
+      target_odds: accaOptions.targetOdds,
+      min_probability: accaOptions.minProbability,
+      max_legs: accaOptions.maxLegs,
+      rank_by: result.rank_by,
+      ...buildAccumulators(result.qualified_picks || [], { ...accaOptions, rankBy: options.rankBy })
+    });
+  } catch (error) {
+    console.error('Accumulator error:', error);
+    sendError(res, error);
   }
 });
 
 // ============ PREDICT SINGLE MATCH ============
 app.post('/api/predict', async (req, res) => {
   try {
-    const { home_team, away_team, competition } = req.body;
-    const result = await predictMatch(home_team, away_team, competition || 'PL');
+    const { home_team, away_team, competition, elo_weight, fixture_id, match_date, rest_strength, neutral, group } = req.body;
+    const options = pickOptions(req);
+    if (elo_weight != null) options.eloWeight = parseFloat(elo_weight);
+    if (match_date) options.kickoff = match_date;
+    if (neutral != null) options.neutral = !!neutral;
+    if (group) options.group = group;
+    if (rest_strength != null) options.restStrength = parseFloat(rest_strength);
+    if (fixture_id) options.odds = (await getBestOdds([fixture_id]))[fixture_id];
+    const result = await predictMatch(home_team, away_team, competition || 'PL', options);
     res.json(result);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// ============ BET BUILDER ============
+// body: { fixture_id, markets: ['1', 'Over 1.5'], price? }
+app.post('/api/bet-builder', async (req, res) => {
+  try {
+    const { fixture_id, markets, price } = req.body;
+    if (!fixture_id) return res.status(400).json({ error: 'fixture_id is required' });
+    res.json(await priceBetBuilder(fixture_id, markets, { ...modelOptions(req), price }));
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 // ============ STREAK TRACKER ============
+// The headline numbers of /api/performance, kept for existing clients.
 app.get('/api/tracker', async (req, res) => {
   try {
-    const days = parseInt(req.query.days) || 30;
-    const tracker = await getStreakTracker(days);
-    res.json(tracker);
+    const performance = await getPerformance(parsePerformanceOptions(req.query));
+    res.json({ scope: performance.scope, from: performance.from, to: performance.to, ...performance.summary, streaks: performance.streaks });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
@@ -170,68 +283,386 @@ app.get('/api/fixtures/:id', async (req, res) => {
     const { data: fixture } = await supabase.from('fixtures').select('*').eq('id', req.params.id).single();
     if (!fixture) return res.status(404).json({ error: 'Fixture not found' });
 
-    const pred = await predictMatch(fixture.home_team, fixture.away_team, fixture.competition_code || 'PL');
+    const pred = await predictMatch(fixture.home_team, fixture.away_team, fixture.competition_code || 'PL', { ...modelOptions(req), ...fixtureOptions(fixture) });
     res.json({ fixture, prediction: pred });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/fixtures/:id/predictions', async (req, res) => {
+  try {
+    const revisions = await getPredictionHistory(req.params.id);
+    res.json({ fixture_id: parseInt(req.params.id), count: revisions.length, published: revisions[revisions.length - 1] || null, revisions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ FORM ============
+app.get('/api/form/:competition', async (req, res) => {
+  try {
+    const competition = req.params.competition.toUpperCase();
+    const table = Object.values(await getFormTable(competition))
+      .sort((a, b) => b.overall.form_points - a.overall.form_points || b.momentum - a.momentum);
+    res.json({ competition, count: table.length, form: table });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/form/:competition/refresh', requireAdmin, async (req, res) => {
+  try {
+    const result = await refreshForm(req.params.competition.toUpperCase());
+    res.json({ message: 'Form refreshed', ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/teams/:name/form', async (req, res) => {
+  try {
+    const competition = (req.query.competition || 'PL').toUpperCase();
+    const form = await getTeamForm(req.params.name, competition);
+    if (!form) return res.status(404).json({ error: 'No finished matches for ' + req.params.name + ' in ' + competition });
+    res.json({ competition, ...form });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ HEAD TO HEAD ============
+app.get('/api/h2h', async (req, res) => {
+  try {
+    const { home, away } = req.query;
+    if (!home || !away) return res.status(400).json({ error: 'home and away are required' });
+    const competition = req.query.competition ? req.query.competition.toUpperCase() : null;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    res.json(await getHeadToHead(home, away, { limit, competition }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ TOURNAMENTS ============
+app.get('/api/tournaments/:code/groups', async (req, res) => {
+  try {
+    const competition = req.params.code.toUpperCase();
+    const groups = await getGroupTables(competition, req.query.season || null);
+    res.json({ competition, count: groups.length, groups });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/tournaments/:code/simulation', async (req, res) => {
+  try {
+    res.json(await getKnockoutSimulation(req.params.code.toUpperCase(), { runs: req.query.runs, season: req.query.season || null }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/fixtures/:id/to-qualify', async (req, res) => {
+  try {
+    res.json(await getTieQualification(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/ratings/international', async (req, res) => {
+  try {
+    const strengths = await getInternationalStrengths();
+    const table = Object.entries(strengths ? strengths.ratings : {})
+      .map(([team, r]) => ({ team, rating: Math.round(r.rating), games: r.games, last_match_date: r.last_match_date }))
+      .sort((a, b) => b.rating - a.rating)
+      .map((r, i) => ({ rank: i + 1, ...r }));
+    res.json({ source: strengths ? strengths.league.source : 'none', count: table.length, ratings: table });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// ============ LEAGUE STRENGTH ============
+app.get('/api/league-strengths', async (req, res) => {
+  try {
+    const model = await getLeagueStrengths();
+    const leagues = Object.entries(model.leagues).map(([code, l], i) => ({ rank: i + 1, competition: code, ...l }));
+    res.json({ matches: model.matches, iterations: model.iterations, continental: model.continental, leagues });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ SEASON SIMULATION ============
+app.get('/api/competitions/:code/simulation', async (req, res) => {
+  try {
+    const code = req.params.code.toUpperCase();
+    if (!COMPETITIONS[code]) return res.status(400).json({ error: 'Invalid competition code', available: Object.keys(COMPETITIONS) });
+    res.json(await getSeasonSimulation(code, { runs: req.query.runs, season: req.query.season || null }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // ============ UPDATE RESULT + AUTO-UPDATE STATS ============
-app.post('/api/fixtures/:id/result', async (req, res) => {
+app.post('/api/fixtures/:id/result', requireAdmin, async (req, res) => {
   try {
     const { home_goals, away_goals } = req.body;
     const { data: fixture, error } = await supabase.from('fixtures').update({
       status: 'FT', home_goals, away_goals, updated_at: new Date().toISOString()
     }).eq('id', req.params.id).select().single();
     if (error) throw error;
+    // settle first: a failure in the follow-up updates must not leave an FT
+    // fixture ungraded
+    const settlement = await settleFixture(fixture);
 
     console.log('🔄 Auto-updating rolling stats...');
     await updateTeamStatsAfterMatch(req.params.id);
-
-    const { data: predictions } = await supabase.from('predictions').select('*').eq('fixture_id', req.params.id);
-    if (predictions && predictions.length > 0) {
-      for (const pred of predictions) {
-        let result = 'PENDING';
-        const market = pred.best_market;
-        const hg = home_goals; const ag = away_goals;
-        if (market === 'Home Win' && hg > ag) result = 'WIN';
-        else if (market === 'Away Win' && ag > hg) result = 'WIN';
-        else if (market === 'Home Win or Draw' && hg >= ag) result = 'WIN';
-        else if (market === 'Away Win or Draw' && ag >= hg) result = 'WIN';
-        else if (market === 'Over 1.5 Goals' && (hg + ag) > 1.5) result = 'WIN';
-        else if (market === 'Over 2.5 Goals' && (hg + ag) > 2.5) result = 'WIN';
-        else if (market === 'Both Teams To Score' && hg > 0 && ag > 0) result = 'WIN';
-        else result = 'LOSS';
-
-        await supabase.from('prediction_results').insert({
-          prediction_id: pred.id, fixture_id: req.params.id,
-          market: pred.best_market, result, home_goals: hg, away_goals: ag,
-          created_at: new Date().toISOString()
-        });
-      }
-    }
+    invalidateDixonColesModel(fixture.competition_code);
+    await updateEloForFixture(fixture);
+    await refreshForm(fixture.competition_code, [fixture.home_team, fixture.away_team]);
+    if (isNationalTeam(fixture.competition_code)) invalidateInternationalStrengths();
+    if (isContinental(fixture.competition_code)) invalidateLeagueStrengths();
+    invalidateSimulation(fixture.competition_code);
+    invalidateKnockout(fixture.competition_code);
 
     res.json({
       message: 'Result updated, rolling stats recalculated, predictions evaluated.',
-      fixture
+      fixture, settlement
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A match that will not be played as scheduled: every market is void.
+app.post('/api/fixtures/:id/void', requireAdmin, async (req, res) => {
+  try {
+    const status = String((req.body || {}).status || 'POSTPONED').toUpperCase();
+    if (!VOID_STATUSES.includes(status)) return res.status(400).json({ error: 'Invalid status', available: VOID_STATUSES });
+    const { data: fixture, error } = await supabase.from('fixtures').update({
+      status, home_goals: null, away_goals: null, updated_at: new Date().toISOString()
+    }).eq('id', req.params.id).select().single();
+    if (error) throw error;
+    const settlement = await settleFixture(fixture);
+    res.json({ message: 'Fixture marked ' + status + ', predictions voided.', fixture, settlement });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Settles finished fixtures no endpoint has graded yet (e.g. written to FT
+// by the sync scripts); force regrades them.
+app.post('/api/admin/settle', requireAdmin, async (req, res) => {
+  try {
+    const { since, competition, force } = req.body || {};
+    if (competition && !COMPETITIONS[competition]) return res.status(400).json({ error: 'Invalid competition code', available: Object.keys(COMPETITIONS) });
+    res.json(await settlePending({ since: since || null, competition: competition || null, force: !!force }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ PREDICTION MODELS ============
+app.get('/api/models', (req, res) => {
+  res.json({ models: listModels() });
+});
+
+// ============ CALIBRATION ============
+app.post('/api/calibration/fit', requireAdmin, async (req, res) => {
+  try {
+    const { method, market } = req.body || {};
+    if (method && method !== 'isotonic' && method !== 'platt') {
+      return res.status(400).json({ error: 'Invalid method', available: ['isotonic', 'platt'] });
+    }
+    const result = await fitCalibrationMaps({ method, market });
+    res.json({ message: `Fitted ${result.fitted.length} calibration maps`, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/calibration/reliability', async (req, res) => {
+  try {
+    const buckets = Math.min(Math.max(parseInt(req.query.buckets) || 10, 2), 50);
+    const diagram = await getReliabilityDiagram({ market: req.query.market || null, buckets, since: req.query.since || null });
+    res.json(diagram);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ ADMIN: BACKTEST ============
+app.post('/api/admin/backtest', requireAdmin, async (req, res) => {
+  try {
+    const { competition, season, from, to, elo_weight, h2h, include_picks } = req.body || {};
+    if (!competition) return res.status(400).json({ error: 'competition is required' });
+    const result = await runBacktest({
+      competition: competition.toUpperCase(), season: season || null, from: from || null, to: to || null,
+      ...modelOptions(req), eloWeight: elo_weight != null ? parseFloat(elo_weight) : null,
+      h2h: h2h != null ? !!h2h : null, includePicks: !!include_picks
+    });
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============ ADMIN: MARKET THRESHOLDS ============
+// Effective thresholds (database rows over the MARKETS defaults) per market.
+app.get('/api/admin/thresholds', requireAdmin, async (req, res) => {
+  try {
+    const competition = req.query.competition ? req.query.competition.toUpperCase() : null;
+    const overrides = await listThresholds(competition);
+    const effective = competition ? await getMarketThresholds(competition) : undefined;
+    res.json({ competition, count: overrides.length, overrides, effective });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/admin/thresholds/audit', requireAdmin, async (req, res) => {
+  try {
+    const audit = await getThresholdAudit({
+      competition: req.query.competition ? req.query.competition.toUpperCase() : null,
+      market: req.query.market || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+    res.json({ count: audit.length, audit });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Walk-forward threshold search; { promote: true } writes the markets that
+// beat the current thresholds out of sample into market_thresholds.
+app.post('/api/admin/thresholds/optimise', requireAdmin, async (req, res) => {
+  try {
+    const { competition, season, from, to, target, folds, min_picks, markets, promote } = req.body || {};
+    if (!competition) return res.status(400).json({ error: 'competition is required' });
+    const code = competition.toUpperCase();
+    const result = await optimiseThresholds({
+      competition: code, season: season || null, from: from || null, to: to || null, ...modelOptions(req),
+      target: target || 'hit_rate', folds: Math.min(Math.max(parseInt(folds) || 4, 1), 10),
+      minPicks: parseInt(min_picks) || 20, markets: Array.isArray(markets) ? markets : null
     });
+    if (promote) {
+      result.promoted = await promoteThresholds(code, result, req.adminUser, Array.isArray(promote) ? promote : null);
+      predictionCache.clear();
+    }
+    res.json(result);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.put('/api/admin/thresholds/:competition/:market', requireAdmin, async (req, res) => {
+  try {
+    const row = await setThreshold(req.params.competition.toUpperCase(), req.params.market, req.body || {}, req.adminUser);
+    predictionCache.clear();
+    res.json({ message: 'Threshold saved', threshold: row });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.delete('/api/admin/thresholds/:competition/:market', requireAdmin, async (req, res) => {
+  try {
+    const removed = await deleteThreshold(req.params.competition.toUpperCase(), req.params.market, req.adminUser);
+    if (!removed) return res.status(404).json({ error: 'No threshold override for this market' });
+    predictionCache.clear();
+    res.json({ message: 'Threshold removed, default restored', threshold: removed });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// ============ BOOKMAKER ODDS ============
+// Body: JSON rows, { rows: [...] }, { csv: '...' } or a text/csv payload.
+app.post('/api/odds/import', requireAdmin, express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const body = req.body;
+    const input = typeof body === 'string' ? body : Array.isArray(body) ? body : (body && (body.rows || body.csv));
+    if (!input) return res.status(400).json({ error: 'Send CSV text or an array of odds rows' });
+    const result = await importOdds(input);
+    res.json({ message: `Imported ${result.imported} of ${result.received} odds rows`, ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+app.get('/api/odds/:fixtureId', async (req, res) => {
+  try {
+    const fixtureId = parseInt(req.params.fixtureId);
+    const [rows, best] = await Promise.all([getFixtureOdds(fixtureId), getBestOdds([fixtureId])]);
+    res.json({ fixture_id: fixtureId, best: best[fixtureId] || {}, count: rows.length, odds: rows });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ ELO RATINGS ============
+app.get('/api/ratings/:competition', async (req, res) => {
+  try {
+    const competition = req.params.competition.toUpperCase();
+    const ratings = await getEloRatings(competition);
+    const table = Object.entries(ratings || {})
+      .map(([team, r]) => ({ team, rating: Math.round(r.rating), games: r.games, last_match_date: r.last_match_date }))
+      .sort((a, b) => b.rating - a.rating)
+      .map((r, i) => ({ rank: i + 1, ...r }));
+    res.json({ competition, count: table.length, ratings: table });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/ratings/rebuild', requireAdmin, async (req, res) => {
+  try {
+    const result = await rebuildEloRatings();
+    res.json({ message: 'Elo ratings rebuilt', ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/teams/:name/rating-history', async (req, res) => {
+  try {
+    const competition = req.query.competition ? req.query.competition.toUpperCase() : null;
+    const history = await getRatingHistory(req.params.name, competition);
+    res.json({ team: req.params.name, competition, count: history.length, history });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // ============ PERFORMANCE ============
+// ?from=&to= or ?days=, ?scope=top|qualified, ?competition=, ?market=
 app.get('/api/performance', async (req, res) => {
   try {
-    const tracker = await getStreakTracker(30);
-    res.json(tracker);
+    res.json(await getPerformance(parsePerformanceOptions(req.query)));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Brier / log-loss / RPS against the league-average baseline.
+// ?from=&to= or ?days=, ?competition=, ?model=, ?window= (rolling days)
+app.get('/api/performance/metrics', async (req, res) => {
+  try {
+    const options = parseMetricsOptions(req.query);
+    if (options.competition && !COMPETITIONS[options.competition]) return res.status(400).json({ error: 'Invalid competition code', available: Object.keys(COMPETITIONS) });
+    res.json(await getPredictionMetrics(options));
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 // ============ SYNC FIXTURES FROM API ============
+// football-data statuses for matches that will not be played as scheduled
+const API_VOID_STATUS = { POSTPONED: 'POSTPONED', CANCELLED: 'CANCELLED', SUSPENDED: 'ABANDONED' };
+
 app.post('/api/sync/fixtures', async (req, res) => {
   try {
     const { competition_code, dateFrom, dateTo } = req.body;
@@ -240,21 +671,25 @@ app.post('/api/sync/fixtures', async (req, res) => {
     }
     const matches = await getMatches(competition_code, null, dateFrom, dateTo);
     const fixtures = (matches.matches || [])
-      .filter(m => m.status === 'SCHEDULED' || m.status === 'TIMED')
+      .filter(m => m.status === 'SCHEDULED' || m.status === 'TIMED' || API_VOID_STATUS[m.status])
       .map(m => ({
         home_team: m.homeTeam.shortName || m.homeTeam.name,
         away_team: m.awayTeam.shortName || m.awayTeam.name,
         match_date: m.utcDate, league: COMPETITIONS[competition_code].name,
-        status: m.status === 'SCHEDULED' ? 'NS' : 'LIVE',
+        status: API_VOID_STATUS[m.status] || (m.status === 'SCHEDULED' ? 'NS' : 'LIVE'),
         home_team_id: m.homeTeam.id, away_team_id: m.awayTeam.id,
         competition_code, matchday: m.matchday || null,
-        season: m.season?.startDate?.substring(0, 4) || '2025'
+        season: m.season?.startDate?.substring(0, 4) || '2025',
+        stage: m.stage || null, group_name: m.group || null,
+        neutral_venue: defaultNeutral(competition_code, m.homeTeam.shortName || m.homeTeam.name, m.stage)
       }));
     if (fixtures.length > 0) {
       const { error } = await supabase.from('fixtures').upsert(fixtures, { onConflict: 'home_team,away_team,match_date' });
       if (error) throw error;
     }
-    res.json({ message: `Synced ${fixtures.length} fixtures`, competition: COMPETITIONS[competition_code].name, fixtures_added: fixtures.length });
+    await refreshForm(competition_code);
+    const settlement = await settlePending({ competition: competition_code });
+    res.json({ message: `Synced ${fixtures.length} fixtures`, competition: COMPETITIONS[competition_code].name, fixtures_added: fixtures.length, settled: settlement.settled });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -274,31 +709,23 @@ app.post('/api/seed/worldcup', async (req, res) => {
       { home_team: 'Japan', away_team: 'Belgium', match_date: '2026-07-26T21:00:00', league: 'World Cup 2026', status: 'NS', competition_code: 'WC' }
     ];
 
+    demoFixtures.forEach(f => { f.neutral_venue = defaultNeutral(f.competition_code, f.home_team); });
     const { data: inserted, error: fixError } = await supabase.from('fixtures').upsert(demoFixtures, { onConflict: 'home_team,away_team,match_date' }).select();
     if (fixError) throw fixError;
 
-    const predictions = [];
+    const entries = [];
     for (const fixture of inserted || demoFixtures) {
-      const pred = await predictMatch(fixture.home_team, fixture.away_team, 'WC');
-      if (pred.best_pick && pred.status === 'PICK') {
-        predictions.push({
-          fixture_id: fixture.id, best_market: pred.best_pick.market,
-          best_market_code: pred.best_pick.marketCode,
-          best_probability: pred.best_pick.probability,
-          confidence: pred.best_pick.confidence,
-          all_probabilities: pred.raw_probabilities,
-          reasoning: pred.reasoning, data_quality: pred.data_quality,
-          strict_mode: pred.strict_mode,
-          created_at: new Date().toISOString()
-        });
-      }
+      const odds = fixture.id ? (await getBestOdds([fixture.id]))[fixture.id] : null;
+      const pred = await predictMatch(fixture.home_team, fixture.away_team, 'WC', { ...fixtureOptions(fixture), odds });
+      entries.push({ fixture, prediction: pred });
     }
-    if (predictions.length > 0) await supabase.from('predictions').insert(predictions);
+    const stored = await publishPredictions(entries);
 
     res.json({
       message: 'World Cup fixtures seeded successfully',
       fixtures_added: demoFixtures.length,
-      predictions_generated: predictions.length,
+      predictions_generated: entries.length,
+      predictions_published: stored.published,
       note: 'V2 mode: All predictions shown + top picks separated'
     });
   } catch (error) {
@@ -337,15 +764,45 @@ app.listen(PORT, () => {
   console.log('');
   console.log('Endpoints:');
   console.log('  GET  /api/health');
-  console.log('  GET  /api/picks/all          ← ALL predictions + top picks separated');
+  console.log('  GET  /api/picks/all          ← ALL predictions + top picks separated (?rank=ev)');
   console.log('  GET  /api/picks/top          ← Top picks only (3 weekday, 5 weekend)');
+  console.log('  GET  /api/picks/accumulator  ← 2-6 leg accas (?target_odds= | ?min_probability=, ?legs=, ?leagues=)');
   console.log('  POST /api/predict            ← Single match prediction');
-  console.log('  GET  /api/tracker            ← Streak tracker');
-  console.log('  GET  /api/performance');
+  console.log('  POST /api/bet-builder        ← Same-game combo priced from the joint score matrix');
+  console.log('  GET  /api/tracker            ← Hit rate, ROI and streaks (same query as /api/performance)');
+  console.log('  GET  /api/performance          ← By market/competition/confidence/weekday/month, streaks, drawdown, profit curve (?from=&to=&scope=top|qualified)');
+  console.log('  GET  /api/performance/metrics  ← Brier, log-loss, RPS vs league-average baseline (?competition=&model=&window=)');
+  console.log('  GET  /api/models');
+  console.log('  POST /api/calibration/fit      (x-admin-key)');
+  console.log('  GET  /api/calibration/reliability');
+  console.log('  POST /api/admin/backtest      ← Walk-forward backtest (x-admin-key)');
+  console.log('  GET  /api/admin/thresholds    ← Per-competition market thresholds (x-admin-key)');
+  console.log('  PUT  /api/admin/thresholds/:competition/:market');
+  console.log('  DEL  /api/admin/thresholds/:competition/:market');
+  console.log('  GET  /api/admin/thresholds/audit');
+  console.log('  POST /api/admin/thresholds/optimise  ← Walk-forward threshold search (+ promote)');
+  console.log('  POST /api/admin/settle        ← Settle finished fixtures not graded yet (x-admin-key)');
+  console.log('  POST /api/odds/import         ← CSV/JSON bookmaker odds (x-admin-key)');
+  console.log('  GET  /api/odds/:fixtureId');
+  console.log('  GET  /api/ratings/international  ← National-team Elo from all internationals');
+  console.log('  GET  /api/ratings/:competition  ← Teams labelled with the competition (ratings span all competitions)');
+  console.log('  GET  /api/tournaments/:code/groups  ← Group tables with qualified/eliminated');
+  console.log('  GET  /api/tournaments/:code/simulation  ← Round-by-round progression odds (?runs=)');
+  console.log('  GET  /api/fixtures/:id/to-qualify  ← To-qualify market for a knockout tie');
+  console.log('  GET  /api/league-strengths   ← League coefficients from CL/EL results');
+  console.log('  GET  /api/competitions/:code/simulation  ← Monte Carlo rest-of-season table (?runs=)');
+  console.log('  POST /api/ratings/rebuild     (x-admin-key)');
+  console.log('  GET  /api/teams/:name/rating-history');
   console.log('  GET  /api/fixtures/today');
   console.log('  GET  /api/fixtures/upcoming');
   console.log('  GET  /api/fixtures/:id');
+  console.log('  GET  /api/fixtures/:id/predictions  ← Published prediction revisions (last one stood at kickoff)');
+  console.log('  GET  /api/h2h?home=&away=     ← Head-to-head record, goals, BTTS/over rates');
+  console.log('  GET  /api/form/:competition   ← Last-5 form overall/home/away + momentum');
+  console.log('  POST /api/form/:competition/refresh  (x-admin-key)');
+  console.log('  GET  /api/teams/:name/form');
   console.log('  POST /api/sync/fixtures');
   console.log('  POST /api/seed/worldcup');
-  console.log('  POST /api/fixtures/:id/result');
+  console.log('  POST /api/fixtures/:id/result  (x-admin-key)');
+  console.log('  POST /api/fixtures/:id/void    ← POSTPONED / CANCELLED / ABANDONED: all markets void (x-admin-key)');
 });
@@ -0,0 +1,135 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { settleMarket } = require('./markets');
+const { getPublishedPrediction } = require('./prediction_store');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Settlement. Every market of the prediction that stood at kickoff is graded
+// into prediction_results, one row per (prediction, market), upserted so a
+// fixture can be settled any number of times (a corrected score regrades,
+// nothing is counted twice). A match that will not be played as scheduled
+// voids every market. settleFixture is called wherever a fixture reaches FT
+// or a void status; settlePending sweeps up anything those paths missed
+// (fixtures written straight to FT by the sync scripts).
+
+const VOID_STATUSES = ['POSTPONED', 'CANCELLED', 'ABANDONED'];
+const SETTLE_LOOKBACK_DAYS = 30;
+const PAGE_SIZE = 1000;
+// ids per .in() filter, keeping the request URL short
+const ID_CHUNK = 200;
+
+const isSettleable = (f) => (f.status === 'FT' && f.home_goals != null && f.away_goals != null) || VOID_STATUSES.includes(f.status);
+
+// Rows of `query(chunk)` for every ID_CHUNK slice of `ids`, each slice paged
+// (a fixture has a prediction_results row per market).
+async function inChunks(ids, query) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    for (let start = 0; ; start += PAGE_SIZE) {
+      const { data, error } = await query(ids.slice(i, i + ID_CHUNK))
+        .order('id', { ascending: true }).range(start, start + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+  }
+  return rows;
+}
+
+// prediction_results rows for one published prediction. Rows published
+// before markets were stored only carry the best market.
+function gradePrediction(prediction, fixture) {
+  const voided = VOID_STATUSES.includes(fixture.status);
+  const hg = voided ? null : fixture.home_goals;
+  const ag = voided ? null : fixture.away_goals;
+  const entries = (prediction.markets || []).filter(m => m.marketCode);
+  if (prediction.best_market_code && !entries.some(m => m.marketCode === prediction.best_market_code)) {
+    entries.push({ market: prediction.best_market, marketCode: prediction.best_market_code, probability: prediction.best_probability, price: prediction.best_price });
+  }
+  const settledAt = new Date().toISOString();
+  return entries.map(m => {
+    const isBest = m.marketCode === prediction.best_market_code;
+    return {
+      prediction_id: prediction.id, fixture_id: fixture.id,
+      market: m.market, market_code: m.marketCode,
+      result: voided ? 'VOID' : settleMarket(m.marketCode, hg, ag),
+      probability: m.probability != null ? m.probability : null,
+      raw_probability: m.rawProbability != null ? m.rawProbability : (isBest ? prediction.best_raw_probability : null),
+      price: isBest && prediction.best_price != null ? prediction.best_price : (m.price != null ? m.price : null),
+      odds: m.odds != null ? m.odds : null,
+      is_best: isBest,
+      qualified: !!m.qualified || isBest,
+      confidence: m.confidence || (isBest ? prediction.confidence : null),
+      top_pick_rank: isBest ? prediction.top_pick_rank || null : null,
+      competition_code: fixture.competition_code || null,
+      kickoff: fixture.match_date,
+      home_goals: hg, away_goals: ag,
+      settled_at: settledAt
+    };
+  });
+}
+
+async function settleFixture(fixtureOrId) {
+  let fixture = fixtureOrId;
+  if (typeof fixtureOrId !== 'object') {
+    const { data, error } = await supabase.from('fixtures').select('*').eq('id', fixtureOrId).maybeSingle();
+    if (error) throw error;
+    fixture = data;
+  }
+  if (!fixture || !isSettleable(fixture)) return { fixture_id: fixture ? fixture.id : fixtureOrId, settled: 0, status: fixture ? fixture.status : null };
+  const prediction = await getPublishedPrediction(fixture.id);
+  if (!prediction) return { fixture_id: fixture.id, settled: 0, status: fixture.status };
+
+  const rows = gradePrediction(prediction, fixture);
+  if (rows.length > 0) {
+    const { error } = await supabase.from('prediction_results').upsert(rows, { onConflict: 'prediction_id,market_code' });
+    if (error) throw error;
+  }
+  const best = rows.find(r => r.is_best);
+  return {
+    fixture_id: fixture.id, status: fixture.status, prediction_id: prediction.id, revision: prediction.revision,
+    settled: rows.length, best: best ? { market: best.market, result: best.result } : null
+  };
+}
+
+// Settles every published prediction whose fixture has finished (or been
+// voided) since `since` and has no results yet; `force` regrades them all.
+async function settlePending({ since = null, competition = null, force = false } = {}) {
+  const from = since ? new Date(since) : new Date(Date.now() - SETTLE_LOOKBACK_DAYS * 86400000);
+  const published = [];
+  for (let start = 0; ; start += PAGE_SIZE) {
+    const { data, error } = await supabase.from('predictions').select('id, fixture_id')
+      .gte('kickoff', from.toISOString()).lte('kickoff', new Date().toISOString())
+      .order('id', { ascending: true }).range(start, start + PAGE_SIZE - 1);
+    if (error) throw error;
+    published.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  const fixtureIds = [...new Set(published.map(p => p.fixture_id))];
+  if (fixtureIds.length === 0) return { checked: 0, settled: 0, fixtures: [] };
+
+  const fixtures = await inChunks(fixtureIds, (ids) => {
+    const query = supabase.from('fixtures').select('*').in('id', ids);
+    return competition ? query.eq('competition_code', competition) : query;
+  });
+  const ready = fixtures.filter(isSettleable);
+
+  let done = new Set();
+  if (!force && ready.length > 0) {
+    const results = await inChunks(ready.map(f => f.id), (ids) => supabase.from('prediction_results').select('id, fixture_id').in('fixture_id', ids));
+    done = new Set(results.map(r => r.fixture_id));
+  }
+
+  const settled = [];
+  for (const f of ready.filter(x => !done.has(x.id))) {
+    try { settled.push(await settleFixture(f)); }
+    catch (e) { console.error('Settlement error (fixture ' + f.id + '):', e.message); }
+  }
+  return { checked: ready.length, settled: settled.length, fixtures: settled };
+}
+
+module.exports = { VOID_STATUSES, gradePrediction, settleFixture, settlePending };
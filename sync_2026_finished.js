@@ -1,5 +1,8 @@
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
+const { rebuildEloRatings } = require('./elo_ratings');
+const { refreshForm } = require('./form_engine');
+const { settlePending } = require('./settlement');
 require('dotenv').config();
 
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_ANON_KEY);
@@ -75,10 +78,11 @@ async function saveMatches(matches, compCode, compName, existingKeys) {
   let saved = 0;
   for (let i = 0; i < toInsert.length; i += CHUNK) {
     const chunk = toInsert.slice(i, i + CHUNK);
-    const { error } = await supabase.from('fixtures').insert(chunk);
+    // upsert so a fixture already stored as NS moves to FT
+    const { error } = await supabase.from('fixtures').upsert(chunk, { onConflict: 'home_team,away_team,match_date' });
     if (error) {
       for (const item of chunk) {
-        const { error: e2 } = await supabase.from('fixtures').insert(item);
+        const { error: e2 } = await supabase.from('fixtures').upsert(item, { onConflict: 'home_team,away_team,match_date' });
         if (!e2 || e2.message.includes('duplicate')) saved++;
       }
     } else {
@@ -222,11 +226,22 @@ async function syncAll() {
 
     // Update team_stats with blended 2025+2026 data
     await updateTeamStats(code);
+    const form = await refreshForm(code);
+    console.log(`   ✅ Form updated for ${form.updated} teams`);
+
+    const settlement = await settlePending({ competition: code });
+    console.log(`   ✅ Settled predictions for ${settlement.settled} fixtures`);
 
     console.log(`   ⏳ Waiting 6 seconds...`);
     await delay(6000);
   }
 
+  // one rating per team across competitions, so rebuild once at the end
+  if (totalSaved > 0) {
+    const elo = await rebuildEloRatings();
+    console.log(`\n✅ Elo ratings rebuilt for ${elo.teams} teams`);
+  }
+
   console.log('\n========================================');
   console.log('SYNC COMPLETE');
   console.log(`Total new 2026 finished matches saved: ${totalSaved}`);
@@ -0,0 +1,212 @@
+const { getFinishedFixtures } = require('./fixture_queries');
+const { getWeightedFixtures, buildWeightedStrengths } = require('./time_decay');
+
+// Bayesian team strengths. Each team's four venue rates (home/away goals for
+// and against, as ratios to the league average) start from last season's
+// values regressed toward the mean and are worth PRIOR_GAMES matches; this
+// season's results then update them like extra observations (a Gamma-Poisson
+// posterior mean). Teams that were not in the competition last season are
+// treated as promoted: they start from the average of last season's
+// relegation zone, nudged by how they did in the league below when we have it.
+
+const PRIOR_GAMES = parseFloat(process.env.PRIOR_GAMES) || 8;
+const PROMOTED_PRIOR_GAMES = 4;           // less certain about a promoted side
+const REGRESSION_TO_MEAN = parseFloat(process.env.PRIOR_REGRESSION) || 0.35;
+const RELEGATION_ZONE = 3;
+const LOWER_LEAGUE_WEIGHT = 0.3;          // elasticity of the lower-league ratios
+const NEW_SEASON_GAP_DAYS = 45;           // longer without a match means a new season
+const LOWER_LEAGUE_LOOKBACK_DAYS = 450;
+const PRIOR_CACHE_TTL = 30 * 60 * 1000;   // 30 minutes
+
+// Second tier feeding each league, where we hold its fixtures.
+const LOWER_LEAGUE = { 'PL': 'ELC' };
+
+const strengthCache = new Map();
+
+// Which season is in progress and which one precedes it. Without an explicit
+// season, a gap of NEW_SEASON_GAP_DAYS since the last result means the last
+// season is over and the next has not produced any results yet.
+function splitSeasons(history, asOf, season = null) {
+  const seasons = [...new Set(history.map(f => f.season).filter(s => s != null).map(String))].sort();
+  if (seasons.length === 0) return { current: null, previous: null };
+  let current = season != null ? String(season) : seasons[seasons.length - 1];
+  if (season == null) {
+    const last = history[history.length - 1];
+    if ((new Date(asOf) - new Date(last.match_date)) / 86400000 > NEW_SEASON_GAP_DAYS) current = null;
+  }
+  const previous = current == null ? seasons[seasons.length - 1] : (seasons.filter(s => s < current).pop() || null);
+  return { current, previous };
+}
+
+function tally(fixtures) {
+  const teams = {};
+  let lh = 0, la = 0;
+  const init = () => ({ hn: 0, hgf: 0, hga: 0, an: 0, agf: 0, aga: 0, points: 0 });
+  for (const f of fixtures) {
+    const h = teams[f.home_team] = teams[f.home_team] || init();
+    const a = teams[f.away_team] = teams[f.away_team] || init();
+    h.hn++; h.hgf += f.home_goals; h.hga += f.away_goals;
+    a.an++; a.agf += f.away_goals; a.aga += f.home_goals;
+    h.points += f.home_goals > f.away_goals ? 3 : f.home_goals === f.away_goals ? 1 : 0;
+    a.points += f.away_goals > f.home_goals ? 3 : f.home_goals === f.away_goals ? 1 : 0;
+    lh += f.home_goals; la += f.away_goals;
+  }
+  const n = fixtures.length;
+  return { teams, league: n > 0 ? { home: lh / n, away: la / n } : null };
+}
+
+const NEUTRAL = { hAtt: 1, hDef: 1, aAtt: 1, aDef: 1 };
+
+// Venue rates as ratios to the league: attack above 1 scores more than
+// average, defence above 1 concedes more.
+function ratios(t, league) {
+  return {
+    hAtt: t.hn > 0 && league.home > 0 ? (t.hgf / t.hn) / league.home : 1,
+    hDef: t.hn > 0 && league.away > 0 ? (t.hga / t.hn) / league.away : 1,
+    aAtt: t.an > 0 && league.away > 0 ? (t.agf / t.an) / league.away : 1,
+    aDef: t.an > 0 && league.home > 0 ? (t.aga / t.an) / league.home : 1
+  };
+}
+
+const mapRatios = (r, fn) => ({ hAtt: fn(r.hAtt, 'hAtt'), hDef: fn(r.hDef, 'hDef'), aAtt: fn(r.aAtt, 'aAtt'), aDef: fn(r.aDef, 'aDef') });
+const regress = (r) => mapRatios(r, v => 1 + (v - 1) * (1 - REGRESSION_TO_MEAN));
+
+function averageRatios(list) {
+  if (list.length === 0) return NEUTRAL;
+  return mapRatios(NEUTRAL, (_, k) => list.reduce((s, r) => s + r[k], 0) / list.length);
+}
+
+function lowerSeasonRatios(lowerHistory, season) {
+  if (!lowerHistory || lowerHistory.length === 0) return {};
+  const seasons = [...new Set(lowerHistory.map(f => f.season).filter(s => s != null).map(String))].sort();
+  const pick = season && seasons.includes(String(season)) ? String(season) : seasons[seasons.length - 1];
+  const { teams, league } = tally(lowerHistory.filter(f => String(f.season) === pick));
+  if (!league) return {};
+  const out = {};
+  for (const [name, t] of Object.entries(teams)) out[name] = regress(ratios(t, league));
+  return out;
+}
+
+// Posterior mean of one venue rate: prior worth `n0` matches at the league
+// rate times the prior ratio, plus the goals actually seen in `n` matches.
+const posterior = (n0, ratio, leagueRate, goals, n) => (n0 * ratio * leagueRate + goals) / (n0 + n);
+
+function teamPosterior(name, prior, observed, league) {
+  const o = observed || { hn: 0, hgf: 0, hga: 0, an: 0, agf: 0, aga: 0 };
+  const half = prior.games / 2; // split evenly between home and away rates
+  const hgf = posterior(half, prior.ratios.hAtt, league.home, o.hgf, o.hn);
+  const hga = posterior(half, prior.ratios.hDef, league.away, o.hga, o.hn);
+  const agf = posterior(half, prior.ratios.aAtt, league.away, o.agf, o.an);
+  const aga = posterior(half, prior.ratios.aDef, league.home, o.aga, o.an);
+  const games = o.hn + o.an;
+  return {
+    team_name: name,
+    games_played: games,
+    effective_games: prior.games + games,
+    avg_goals_for: (hgf + agf) / 2,
+    avg_goals_against: (hga + aga) / 2,
+    home_avg_goals_for: hgf, home_avg_goals_against: hga,
+    away_avg_goals_for: agf, away_avg_goals_against: aga,
+    prior: {
+      source: prior.source, games: prior.games, promoted: prior.promoted,
+      attack: Math.sqrt(prior.ratios.hAtt * prior.ratios.aAtt),
+      defence: Math.sqrt(prior.ratios.hDef * prior.ratios.aDef)
+    },
+    data_source: prior.source + ' prior (' + prior.games + ') + ' + games + ' games'
+  };
+}
+
+// `history` is the competition's FT fixtures before `asOf`, oldest first and
+// carrying `season` (time weights, if present, feed the league averages);
+// `lowerHistory` the same for the league below. Returns the
+// buildWeightedStrengths shape plus promoted-team priors.
+function buildTeamStrengths(history, lowerHistory, competition, asOf = new Date(), season = null) {
+  const base = history.length > 0 ? buildWeightedStrengths(history, competition) : null;
+  const { current, previous } = splitSeasons(history, asOf, season);
+  const prev = tally(history.filter(f => previous != null && String(f.season) === previous));
+  const cur = tally(history.filter(f => current != null && String(f.season) === current));
+  const pooled = tally(history.filter(f => (previous != null && String(f.season) === previous) || (current != null && String(f.season) === current)));
+  const league = pooled.league;
+  if (!league) return base ? { ...base, teams: {}, season: { current, previous } } : null;
+
+  // Relegation zone: the bottom RELEGATION_ZONE sides of last season by points.
+  const prevRatios = {};
+  if (prev.league) for (const [name, t] of Object.entries(prev.teams)) prevRatios[name] = ratios(t, prev.league);
+  const bottom = Object.entries(prev.teams).sort((a, b) => (a[1].points / (a[1].hn + a[1].an)) - (b[1].points / (b[1].hn + b[1].an)))
+    .slice(0, RELEGATION_ZONE).map(([name]) => prevRatios[name]);
+  const relegation = averageRatios(bottom);
+  const lower = lowerSeasonRatios(lowerHistory, previous);
+
+  const priorFor = (name) => {
+    if (prevRatios[name]) return { ratios: regress(prevRatios[name]), games: PRIOR_GAMES, promoted: false, source: 'season ' + previous };
+    if (!prev.league) return { ratios: NEUTRAL, games: 0, promoted: false, source: 'no' };
+    const below = lower[name];
+    return {
+      ratios: below ? mapRatios(relegation, (v, k) => v * Math.pow(below[k], LOWER_LEAGUE_WEIGHT)) : relegation,
+      games: PROMOTED_PRIOR_GAMES, promoted: true,
+      source: below ? 'promoted (' + LOWER_LEAGUE[competition] + ')' : 'promoted (relegation zone)'
+    };
+  };
+
+  const teams = {};
+  const names = new Set([...Object.keys(prev.teams), ...Object.keys(cur.teams)]);
+  for (const name of names) teams[name] = teamPosterior(name, priorFor(name), cur.teams[name], league);
+  const promoted = {};
+  for (const name of Object.keys(lower)) if (!teams[name]) promoted[name] = teamPosterior(name, priorFor(name), null, league);
+
+  return {
+    teams, promoted,
+    promoted_default: prev.league ? teamPosterior(null, priorFor(null), null, league) : null,
+    league: base ? base.league : null,
+    half_life_days: base ? base.half_life_days : null,
+    season: { current, previous }
+  };
+}
+
+// Strength for any team name, falling back to a promoted-side prior for
+// teams with no results in the competition yet.
+function teamStrength(strengths, name) {
+  if (!strengths) return null;
+  if (strengths.teams[name]) return strengths.teams[name];
+  if (strengths.promoted && strengths.promoted[name]) return strengths.promoted[name];
+  return strengths.promoted_default ? { ...strengths.promoted_default, team_name: name } : null;
+}
+
+// Dixon-Coles ridge centres (log scale) from the priors.
+function dixonColesPriors(strengths) {
+  const out = {};
+  if (!strengths) return out;
+  for (const t of [...Object.values(strengths.teams), ...Object.values(strengths.promoted || {})]) {
+    if (t.prior.games > 0) out[t.team_name] = { attack: Math.log(t.prior.attack), defence: Math.log(t.prior.defence) };
+  }
+  return out;
+}
+
+async function getLowerLeagueFixtures(competition, { since = null, before = new Date() } = {}) {
+  const lower = LOWER_LEAGUE[competition];
+  if (!lower) return [];
+  const from = since || new Date(new Date(before).getTime() - LOWER_LEAGUE_LOOKBACK_DAYS * 86400000);
+  try {
+    return await getFinishedFixtures({ competition: lower, since: from, before, columns: 'home_team, away_team, home_goals, away_goals, match_date, season' });
+  } catch (e) { console.error('Lower league fixtures error:', e.message); return []; }
+}
+
+async function getTeamStrengths(competition) {
+  const cached = strengthCache.get(competition);
+  if (cached && Date.now() - cached.time < PRIOR_CACHE_TTL) return cached.strengths;
+  const history = await getWeightedFixtures(competition);
+  if (!history || history.length === 0) return null;
+  const strengths = buildTeamStrengths(history, await getLowerLeagueFixtures(competition), competition);
+  strengthCache.set(competition, { strengths, time: Date.now() });
+  return strengths;
+}
+
+function invalidateTeamStrengths(competition) {
+  if (competition) strengthCache.delete(competition);
+  else strengthCache.clear();
+}
+
+module.exports = {
+  LOWER_LEAGUE, LOWER_LEAGUE_LOOKBACK_DAYS, splitSeasons, buildTeamStrengths, teamStrength, dixonColesPriors,
+  getLowerLeagueFixtures, getTeamStrengths, invalidateTeamStrengths
+};
@@ -0,0 +1,45 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAccumulators } = require('../accumulator');
+
+const pick = (fixture_id, marketCode, probability, price = null) => ({
+  fixture_id, match: 'F' + fixture_id, league: 'Premier League', competition: 'PL',
+  market: marketCode, marketCode, selection: marketCode, probability,
+  odds: parseFloat((1 / probability).toFixed(2)), ...(price != null ? { price, bookmaker: 'bk' } : {})
+});
+
+test('combined probability is the product of the legs', () => {
+  const { accumulators } = buildAccumulators([pick(1, 'Over 1.5', 0.8), pick(2, '1X', 0.7), pick(3, 'BTTS Yes', 0.6)], { maxLegs: 3, limit: 10 });
+  const treble = accumulators.find(a => a.legs === 3);
+  assert.equal(treble.combined_probability, parseFloat((0.8 * 0.7 * 0.6).toFixed(4)));
+  assert.equal(accumulators[0].combined_probability, 0.56);
+});
+
+test('markets that can push are not used as legs', () => {
+  const result = buildAccumulators([pick(1, 'DNB 1', 0.9), pick(2, 'AH1 -1', 0.85), pick(3, 'Over 1.5', 0.8), pick(4, '1X', 0.7)], { limit: 10 });
+  assert.equal(result.candidates, 2);
+  assert.equal(result.combinations, 1);
+  assert.deepEqual(result.accumulators[0].breakdown.map(l => l.marketCode), ['Over 1.5', '1X']);
+});
+
+test('limit caps the accumulators but not the combination count', () => {
+  const picks = [1, 2, 3, 4, 5].map(id => pick(id, 'Over 1.5', 0.9 - id / 100));
+  const result = buildAccumulators(picks, { maxLegs: 3, limit: 2 });
+  // C(5,2) + C(5,3)
+  assert.equal(result.combinations, 20);
+  assert.equal(result.accumulators.length, 2);
+  assert.deepEqual(result.accumulators.map(a => a.rank), [1, 2]);
+  assert.ok(result.accumulators[0].combined_probability >= result.accumulators[1].combined_probability);
+  assert.deepEqual(result.accumulators[0].breakdown.map(l => l.fixture_id), [1, 2]);
+});
+
+test('leg odds are labelled bookmaker or model', () => {
+  const { accumulators } = buildAccumulators([pick(1, 'Over 1.5', 0.8, 1.3), pick(2, '1X', 0.7)], {});
+  const [acca] = accumulators;
+  assert.deepEqual(acca.breakdown.map(l => l.odds_source), ['bookmaker', 'model']);
+  assert.equal(acca.odds_source, 'mixed');
+  assert.equal(acca.priced_legs, 1);
+  assert.equal(acca.fair_legs, 1);
+  assert.equal(acca.expected_value, null);
+});
@@ -0,0 +1,35 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fitIsotonic, fitPlatt, applyIsotonic, applyPlatt, applyCalibration } = require('../calibration');
+
+// Picks between 55% and 80% that hit about 60% of the time.
+const samples = [];
+for (let i = 0; i < 100; i++) samples.push({ p: 0.55 + (i % 26) / 100, y: i % 5 < 3 ? 1 : 0 });
+
+test('isotonic map leaves probabilities outside the fitted range unchanged', () => {
+  const params = fitIsotonic(samples);
+  assert.deepEqual(params.range, [0.55, 0.8]);
+  assert.equal(applyIsotonic(params, 0.10), 0.10);
+  assert.equal(applyIsotonic(params, 0.95), 0.95);
+  const inside = applyIsotonic(params, 0.7);
+  assert.ok(inside >= 0 && inside <= 1);
+  assert.equal(applyCalibration({ method: 'isotonic', params }, 0.10), 0.10);
+});
+
+test('isotonic knots are non-decreasing', () => {
+  const { knots } = fitIsotonic(samples);
+  for (let i = 1; i < knots.length; i++) assert.ok(knots[i][1] >= knots[i - 1][1]);
+});
+
+test('Platt map does not extrapolate either', () => {
+  const params = fitPlatt(samples);
+  assert.equal(applyPlatt(params, 0.10), 0.10);
+  assert.equal(applyCalibration({ method: 'platt', params }, 0.99), 0.99);
+  assert.ok(Math.abs(applyPlatt(params, 0.67) - 0.6) < 0.05);
+});
+
+test('maps fitted before ranges were stored still apply', () => {
+  assert.equal(applyIsotonic({ knots: [[0.6, 0.55], [0.8, 0.7]] }, 0.5), 0.55);
+  assert.equal(applyCalibration(null, 0.3), 0.3);
+});
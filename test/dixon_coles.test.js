@@ -0,0 +1,39 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tau, fitDixonColes, scoreMatrix } = require('../dixon_coles');
+
+test('tau only adjusts the four low scores', () => {
+  assert.equal(tau(0, 0, 1.5, 1.2, 0.1), 1 - 1.5 * 1.2 * 0.1);
+  assert.equal(tau(0, 1, 1.5, 1.2, 0.1), 1 + 1.5 * 0.1);
+  assert.equal(tau(1, 0, 1.5, 1.2, 0.1), 1 + 1.2 * 0.1);
+  assert.equal(tau(1, 1, 1.5, 1.2, 0.1), 1 - 0.1);
+  assert.equal(tau(2, 0, 1.5, 1.2, 0.1), 1);
+  assert.equal(tau(0, 0, 1.5, 1.2, 0), 1);
+});
+
+test('score matrix is a distribution', () => {
+  const total = scoreMatrix(1.4, 1.1, -0.05).flat().reduce((s, p) => s + p, 0);
+  assert.ok(Math.abs(total - 1) < 1e-6);
+});
+
+test('fitDixonColes ranks a stronger side above a weaker one', () => {
+  const scores = { Strong: 3, Middle: 1, Weak: 0 };
+  const matches = [];
+  for (let round = 0; round < 6; round++) {
+    for (const home of Object.keys(scores)) {
+      for (const away of Object.keys(scores)) {
+        if (home === away) continue;
+        matches.push({ home_team: home, away_team: away, home_goals: scores[home] + (round % 2), away_goals: scores[away] });
+      }
+    }
+  }
+  const model = fitDixonColes(matches);
+  assert.equal(model.matches, matches.length);
+  assert.ok(model.converged);
+  assert.ok(model.teams.Strong.attack > model.teams.Middle.attack);
+  assert.ok(model.teams.Middle.attack > model.teams.Weak.attack);
+  assert.ok(model.home_advantage > 0);
+  assert.ok(model.rho >= -0.2 && model.rho <= 0.2);
+  assert.equal(fitDixonColes([]), null);
+});
@@ -0,0 +1,47 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ELO_INITIAL, ELO_HOME_ADVANTAGE, eloProbabilities, eloUpdate, computeEloRatings } = require('../elo_ratings');
+
+const sum = (p) => p.home + p.draw + p.away;
+
+test('eloProbabilities sums to one and is symmetric at a neutral venue', () => {
+  const p = eloProbabilities(1500, 1500, 0);
+  assert.ok(Math.abs(sum(p) - 1) < 1e-12);
+  assert.ok(Math.abs(p.home - p.away) < 1e-12);
+  assert.ok(p.draw > 0.25 && p.draw < 0.3);
+});
+
+test('home advantage and rating gap favour the home side, draws thin out', () => {
+  const even = eloProbabilities(1500, 1500);
+  assert.ok(even.home > even.away);
+  const gap = eloProbabilities(1900, 1500, ELO_HOME_ADVANTAGE);
+  assert.ok(gap.home > even.home);
+  assert.ok(gap.draw < even.draw);
+  assert.ok(gap.away > 0);
+});
+
+test('eloUpdate is zero-sum', () => {
+  const r = eloUpdate(1600, 1450, 3, 0);
+  assert.ok(r.delta > 0);
+  assert.ok(Math.abs((r.home - 1600) + (r.away - 1450)) < 1e-9);
+});
+
+test('computeEloRatings keeps one rating per team across competitions', () => {
+  const fixture = (id, home_team, away_team, home_goals, away_goals, competition_code) =>
+    ({ id, home_team, away_team, home_goals, away_goals, competition_code, match_date: '2026-0' + id + '-01T15:00:00Z' });
+  const { ratings, history } = computeEloRatings([
+    fixture(1, 'Arsenal', 'Chelsea', 2, 0, 'PL'),
+    fixture(2, 'Arsenal', 'Inter', 1, 0, 'CL'),
+    fixture(3, 'Chelsea', 'Arsenal', 1, 1, 'PL')
+  ]);
+  assert.equal(ratings.Arsenal.games, 3);
+  assert.equal(ratings.Arsenal.competition, 'PL');
+  assert.equal(ratings.Inter.competition, 'CL');
+  // the European win moved the rating the next league match started from
+  const cl = history.find(h => h.fixture_id === 2 && h.team_name === 'Arsenal');
+  const pl = history.find(h => h.fixture_id === 3 && h.team_name === 'Arsenal');
+  assert.ok(cl.rating_after > cl.rating_before);
+  assert.equal(pl.rating_before, cl.rating_after);
+  assert.ok(ratings.Inter.rating < ELO_INITIAL);
+});
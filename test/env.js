@@ -0,0 +1,4 @@
+// The modules create their Supabase client on load; the unit tests only call
+// pure functions, so placeholders are enough when no .env is present.
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY || 'test-key';
@@ -0,0 +1,64 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tieProbability, rankGroup } = require('../knockout_simulator');
+
+const certain = (h, a) => { const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]]; m[h][a] = 1; return m; };
+// symmetric in home and away goals
+const even = [[0.1, 0.1, 0.05], [0.1, 0.2, 0.1], [0.05, 0.1, 0.2]];
+
+test('a symmetric tie is a coin toss', () => {
+  const single = tieProbability([{ home_team: 'A', away_team: 'B', matrix: even, result: null }]);
+  assert.ok(Math.abs(single.home_qualify - 0.5) < 1e-3);
+  const twoLegs = tieProbability([
+    { home_team: 'A', away_team: 'B', matrix: even, result: null },
+    { home_team: 'B', away_team: 'A', matrix: even, result: null }
+  ]);
+  assert.equal(twoLegs.legs, 2);
+  assert.ok(Math.abs(twoLegs.home_qualify - 0.5) < 1e-3);
+  const d = twoLegs.decided;
+  assert.ok(Math.abs(d.regulation + d.away_goals + d.extra_time + d.penalties - 1) < 2e-3);
+});
+
+test('a played first leg carries into the aggregate', () => {
+  const lead = tieProbability([
+    { home_team: 'A', away_team: 'B', matrix: null, result: [2, 0] },
+    { home_team: 'B', away_team: 'A', matrix: even, result: null }
+  ]);
+  assert.ok(lead.home_qualify > 0.9);
+  // B wins the return 1-0: 2-1 on aggregate to A
+  const settled = tieProbability([
+    { home_team: 'A', away_team: 'B', matrix: null, result: [2, 0] },
+    { home_team: 'B', away_team: 'A', matrix: certain(1, 0), result: null }
+  ]);
+  assert.equal(settled.home_qualify, 1);
+  assert.equal(settled.decided.regulation, 1);
+});
+
+test('away goals decide a level aggregate where the competition uses them', () => {
+  const legs = [
+    { home_team: 'A', away_team: 'B', matrix: null, result: [0, 0] },
+    { home_team: 'B', away_team: 'A', matrix: certain(1, 1), result: null }
+  ];
+  const withAway = tieProbability(legs, { awayGoals: true });
+  assert.equal(withAway.home_qualify, 1);
+  assert.equal(withAway.decided.away_goals, 1);
+  const without = tieProbability(legs);
+  assert.equal(without.decided.away_goals, 0);
+  assert.ok(Math.abs(without.home_qualify - 0.5) < 1e-3);
+});
+
+test('head-to-head and overall tiebreakers order level teams differently', () => {
+  const r = (home_team, away_team, hg, ag) => ({ home_team, away_team, hg, ag });
+  const results = [
+    r('A', 'B', 1, 0), r('C', 'A', 1, 0), r('A', 'D', 1, 0),
+    r('B', 'C', 5, 0), r('B', 'D', 3, 0), r('C', 'D', 0, 0)
+  ];
+  const teams = ['A', 'B', 'C', 'D'];
+  const overall = rankGroup(teams, results, 'overall', () => 0.5);
+  const h2h = rankGroup(teams, results, 'head-to-head', () => 0.5);
+  assert.deepEqual(overall.map(t => t.team), ['B', 'A', 'C', 'D']);
+  assert.deepEqual(h2h.map(t => t.team), ['A', 'B', 'C', 'D']);
+  assert.equal(overall[0].points, 6);
+  assert.equal(overall[1].points, 6);
+});
@@ -0,0 +1,41 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { asianHandicapResult, effectiveProbability, settleMarket, settlementProfit } = require('../markets');
+
+test('quarter-line Asian handicap splits the stake', () => {
+  // -0.75: half on -0.5, half on -1.0
+  assert.equal(asianHandicapResult(2, -0.75), 'WIN');
+  assert.equal(asianHandicapResult(1, -0.75), 'HALF_WIN');
+  assert.equal(asianHandicapResult(0, -0.75), 'LOSS');
+  // -0.25: half on 0, half on -0.5
+  assert.equal(asianHandicapResult(0, -0.25), 'HALF_LOSS');
+  assert.equal(asianHandicapResult(1, -0.25), 'WIN');
+  // -1.25: half on -1.0, half on -1.5
+  assert.equal(asianHandicapResult(1, -1.25), 'HALF_LOSS');
+  assert.equal(asianHandicapResult(2, -1.25), 'WIN');
+});
+
+test('whole and half lines', () => {
+  assert.equal(asianHandicapResult(1, -1), 'VOID');
+  assert.equal(asianHandicapResult(2, -1), 'WIN');
+  assert.equal(asianHandicapResult(0, -0.5), 'LOSS');
+  assert.equal(settleMarket('AH2 -0.75', 0, 1), 'HALF_WIN');
+  assert.equal(settleMarket('DNB 1', 1, 1), 'VOID');
+});
+
+test('effectiveProbability prices pushes and half results', () => {
+  assert.equal(effectiveProbability({ WIN: 0.5, HALF_WIN: 0, VOID: 0, HALF_LOSS: 0, LOSS: 0.5 }), 0.5);
+  // a push returns the stake: 0.4 / (1 - 0.2)
+  assert.ok(Math.abs(effectiveProbability({ WIN: 0.4, HALF_WIN: 0, VOID: 0.2, HALF_LOSS: 0, LOSS: 0.4 }) - 0.5) < 1e-12);
+  // half win counts half a winning stake and half a push
+  assert.ok(Math.abs(effectiveProbability({ WIN: 0, HALF_WIN: 1, VOID: 0, HALF_LOSS: 0, LOSS: 0 }) - 1) < 1e-12);
+  assert.equal(effectiveProbability({ WIN: 0, HALF_WIN: 0, VOID: 1, HALF_LOSS: 0, LOSS: 0 }), 0);
+});
+
+test('settlementProfit at decimal odds', () => {
+  assert.equal(settlementProfit('WIN', 2.5), 1.5);
+  assert.equal(settlementProfit('HALF_WIN', 2.5), 0.75);
+  assert.equal(settlementProfit('HALF_LOSS', 2.5), -0.5);
+  assert.equal(settlementProfit('VOID', 2.5), 0);
+});
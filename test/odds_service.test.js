@@ -0,0 +1,27 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { kellyStake, priceFields, parseCsv } = require('../odds_service');
+
+test('kellyStake is a capped fraction of full Kelly', () => {
+  // p = 0.55 at 2.00: full Kelly 10%, quarter Kelly 2.5%
+  assert.ok(Math.abs(kellyStake(0.55, 2.0, 0.25) - 0.025) < 1e-12);
+  assert.equal(kellyStake(0.45, 2.0), 0);
+  assert.equal(kellyStake(0.9, 1.0), 0);
+  assert.equal(kellyStake(0.9, 3.0, 1), 0.05);
+});
+
+test('priceFields is empty without a quote', () => {
+  assert.deepEqual(priceFields(0.5, null), {});
+  const f = priceFields(0.55, { price: 2.0, bookmaker: 'bk' });
+  assert.equal(f.edge, 0.1);
+  assert.equal(f.value_bet, true);
+});
+
+test('parseCsv handles quotes, escaped quotes, CRLF and blank lines', () => {
+  const rows = parseCsv('Home,Away,Market,Price\r\n"Brighton & Hove","Man ""City""",1,2.10\r\n\r\nA,B,X,3.4');
+  assert.equal(rows.length, 2);
+  assert.deepEqual(rows[0], { home: 'Brighton & Hove', away: 'Man "City"', market: '1', price: '2.10' });
+  assert.equal(rows[1].market, 'X');
+  assert.deepEqual(parseCsv(''), []);
+});
@@ -0,0 +1,20 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePerformanceOptions } = require('../performance');
+
+test('a date-only to covers the whole day', () => {
+  const { from, to } = parsePerformanceOptions({ from: '2026-10-01', to: '2026-10-18' });
+  assert.equal(from.toISOString(), '2026-10-01T00:00:00.000Z');
+  assert.equal(to.toISOString(), '2026-10-18T23:59:59.999Z');
+  const exact = parsePerformanceOptions({ to: '2026-10-18T12:00:00Z', days: '1' });
+  assert.equal(exact.to.toISOString(), '2026-10-18T12:00:00.000Z');
+  assert.equal(exact.from.toISOString(), '2026-10-17T12:00:00.000Z');
+});
+
+test('parsePerformanceOptions rejects bad input', () => {
+  assert.throws(() => parsePerformanceOptions({ scope: 'all' }), { status: 400 });
+  assert.throws(() => parsePerformanceOptions({ to: 'yesterday' }), { status: 400 });
+  assert.throws(() => parsePerformanceOptions({ from: '2026-10-18', to: '2026-10-01' }), { status: 400 });
+  assert.throws(() => parsePerformanceOptions({ days: '0' }), { status: 400 });
+});
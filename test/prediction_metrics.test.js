@@ -0,0 +1,42 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { METRIC_MARKETS, parseMetricsOptions, scoreOutcomes, scoreBinary } = require('../prediction_metrics');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-4, actual + ' != ' + expected);
+
+test('scoreOutcomes of a uniform forecast', () => {
+  const s = scoreOutcomes([1 / 3, 1 / 3, 1 / 3], 1);
+  close(s.brier, 0.6667);
+  close(s.log_loss, 1.0986);
+  close(s.rps, 0.1111);
+});
+
+test('scoreOutcomes rewards probability near the outcome', () => {
+  assert.deepEqual({ ...scoreOutcomes([1, 0, 0], 0), log_loss: 0 }, { brier: 0, log_loss: 0, rps: 0 });
+  // an away win called as a home win is the worst ranked miss
+  assert.equal(scoreOutcomes([0, 0, 1], 0).rps, 1);
+  assert.ok(scoreOutcomes([0, 1, 0], 0).rps < scoreOutcomes([0, 0, 1], 0).rps);
+  assert.ok(Number.isFinite(scoreOutcomes([0, 0, 1], 0).log_loss));
+});
+
+test('scoreBinary', () => {
+  const s = scoreBinary(0.5, 1);
+  close(s.brier, 0.25);
+  close(s.log_loss, 0.6931);
+  close(scoreBinary(0.8, 0).brier, 0.64);
+});
+
+test('only markets that cannot push are scored', () => {
+  assert.ok(METRIC_MARKETS.includes('Over 2.5'));
+  assert.ok(METRIC_MARKETS.includes('BTTS Yes'));
+  assert.ok(!METRIC_MARKETS.includes('DNB 1'));
+  assert.ok(!METRIC_MARKETS.includes('AH1 -1'));
+});
+
+test('a date-only to covers the whole day', () => {
+  const { from, to } = parseMetricsOptions({ from: '2026-10-01', to: '2026-10-18' });
+  assert.equal(from.toISOString(), '2026-10-01T00:00:00.000Z');
+  assert.equal(to.toISOString(), '2026-10-18T23:59:59.999Z');
+  assert.equal(parseMetricsOptions({ to: '2026-10-18T12:00:00Z' }).to.toISOString(), '2026-10-18T12:00:00.000Z');
+});
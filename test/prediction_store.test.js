@@ -0,0 +1,45 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// In-memory predictions table behind the supabase client: selects return
+// nothing stored yet, inserts are recorded.
+const inserted = [];
+global.fetch = async (url, opts = {}) => {
+  if ((opts.method || 'GET').toUpperCase() === 'POST') inserted.push(...JSON.parse(opts.body));
+  return new Response('[]', { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+const { snapshotRow, publishPredictions } = require('../prediction_store');
+
+const market = (marketCode, probability) => ({ market: marketCode, marketCode, probability, meetsThreshold: true, formValid: true });
+
+test('snapshotRow marks every qualified market, not just the top picks', () => {
+  const pred = {
+    best_pick: { market: 'Over 1.5', marketCode: 'Over 1.5', probability: 0.82, rawProbability: 0.8, confidence: 'HIGH' },
+    all_predictions: [market('Over 1.5', 0.82), market('1X', 0.74), { ...market('BTTS Yes', 0.61), meetsThreshold: false }],
+    top_picks: [{ rank: 1, marketCode: 'Over 1.5', confidence: 'HIGH' }],
+    qualified_picks: [{ marketCode: 'Over 1.5', confidence: 'HIGH' }, { marketCode: '1X', confidence: 'MEDIUM' }]
+  };
+  const row = snapshotRow({ id: 1, match_date: '2026-10-24T14:00:00Z' }, pred);
+  const byCode = Object.fromEntries(row.markets.map(m => [m.marketCode, m]));
+  assert.equal(byCode['Over 1.5'].qualified, true);
+  assert.equal(byCode['1X'].qualified, true);
+  assert.equal(byCode['1X'].confidence, 'MEDIUM');
+  assert.equal(byCode['BTTS Yes'].qualified, undefined);
+  assert.equal(row.best_raw_probability, 0.8);
+});
+
+test('publishPredictions stores every fixture not yet kicked off, whatever its status', async () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  const pred = { all_predictions: [], top_picks: [], qualified_picks: [] };
+  const entries = [
+    { fixture: { id: 1, status: 'LIVE', match_date: '2026-10-20T19:00:00Z' }, prediction: pred },
+    { fixture: { id: 2, status: 'NS', match_date: '2026-10-21T19:00:00Z' }, prediction: pred },
+    { fixture: { id: 3, status: 'NS', match_date: '2026-10-19T11:00:00Z' }, prediction: pred }
+  ];
+  inserted.length = 0;
+  const result = await publishPredictions(entries, now);
+  assert.deepEqual(result, { published: 2, unchanged: 0, frozen: 1 });
+  assert.deepEqual(inserted.map(r => [r.fixture_id, r.revision]), [[1, 1], [2, 1]]);
+});
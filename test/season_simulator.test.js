@@ -0,0 +1,46 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulateSeason } = require('../season_simulator');
+const { isPending } = require('../fixture_queries');
+
+// Deterministic generator so the run is reproducible.
+function seeded(seed) {
+  return () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+}
+const certain = (h, a) => { const m = [[0, 0, 0], [0, 0, 0], [0, 0, 0]]; m[h][a] = 1; return m; };
+const even = [[0.1, 0.1, 0.05], [0.1, 0.2, 0.1], [0.05, 0.1, 0.2]];
+
+test('a finished season reproduces the table', () => {
+  const played = [
+    { home_team: 'A', away_team: 'B', home_goals: 2, away_goals: 0 },
+    { home_team: 'B', away_team: 'C', home_goals: 1, away_goals: 0 },
+    { home_team: 'C', away_team: 'A', home_goals: 0, away_goals: 0 }
+  ];
+  const rows = simulateSeason(played, [], { runs: 10, zones: { title: 1, top: 1, europe: 2, relegation: 1 }, random: seeded(1) });
+  assert.deepEqual(rows.map(r => r.team), ['A', 'B', 'C']);
+  assert.equal(rows[0].title, 100);
+  assert.equal(rows[2].relegation, 100);
+  assert.equal(rows[0].points, 4);
+});
+
+test('certain results are projected exactly', () => {
+  const rows = simulateSeason([], [{ home_team: 'A', away_team: 'B', matrix: certain(2, 1) }], { runs: 50, zones: { title: 1, top: 1, europe: 1, relegation: 1 }, random: seeded(7) });
+  assert.equal(rows[0].team, 'A');
+  assert.equal(rows[0].projected_points, 3);
+  assert.equal(rows[1].projected_goal_difference, -1);
+});
+
+test('position probabilities sum to 100% for every team', () => {
+  const teams = ['A', 'B', 'C', 'D'];
+  const remaining = [];
+  for (const h of teams) for (const a of teams) if (h !== a) remaining.push({ home_team: h, away_team: a, matrix: even });
+  const rows = simulateSeason([], remaining, { runs: 500, random: seeded(42) });
+  for (const r of rows) assert.ok(Math.abs(r.positions.reduce((s, p) => s + p, 0) - 100) < 0.5);
+  assert.ok(Math.abs(rows.reduce((s, r) => s + r.title, 0) - 100) < 0.5);
+});
+
+test('every fixture not finished or called off is still to be played', () => {
+  for (const status of ['NS', 'TIMED', 'SCHEDULED', 'LIVE', 'POSTPONED']) assert.equal(isPending({ status }), true, status);
+  for (const status of ['FT', 'CANCELLED', 'ABANDONED']) assert.equal(isPending({ status }), false, status);
+});
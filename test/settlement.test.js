@@ -0,0 +1,37 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { gradePrediction } = require('../settlement');
+
+const prediction = {
+  id: 7, best_market: 'Over 2.5', best_market_code: 'Over 2.5', best_probability: 0.6, best_raw_probability: 0.58,
+  best_price: 1.9, confidence: 'MEDIUM', top_pick_rank: 2,
+  markets: [
+    { market: 'Over 2.5', marketCode: 'Over 2.5', probability: 0.6, rawProbability: 0.58 },
+    { market: 'AH1 -1', marketCode: 'AH1 -1', probability: 0.4, qualified: true, confidence: 'MEDIUM' }
+  ]
+};
+
+test('gradePrediction settles every stored market against the score', () => {
+  const rows = gradePrediction(prediction, { id: 1, status: 'FT', home_goals: 2, away_goals: 1, match_date: '2026-10-18T14:00:00Z' });
+  const byCode = Object.fromEntries(rows.map(r => [r.market_code, r]));
+  assert.equal(byCode['Over 2.5'].result, 'WIN');
+  assert.equal(byCode['Over 2.5'].is_best, true);
+  assert.equal(byCode['Over 2.5'].price, 1.9);
+  assert.equal(byCode['Over 2.5'].top_pick_rank, 2);
+  assert.equal(byCode['AH1 -1'].result, 'VOID');
+  assert.equal(byCode['AH1 -1'].qualified, true);
+});
+
+test('gradePrediction voids every market of a postponed fixture', () => {
+  const rows = gradePrediction(prediction, { id: 1, status: 'POSTPONED', home_goals: 2, away_goals: 1 });
+  assert.deepEqual(rows.map(r => r.result), ['VOID', 'VOID']);
+  assert.equal(rows[0].home_goals, null);
+});
+
+test('gradePrediction adds the best market to rows stored without markets', () => {
+  const rows = gradePrediction({ ...prediction, markets: null }, { id: 1, status: 'FT', home_goals: 0, away_goals: 0 });
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].result, 'LOSS');
+  assert.equal(rows[0].raw_probability, 0.58);
+});
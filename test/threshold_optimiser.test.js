@@ -0,0 +1,21 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluate } = require('../threshold_optimiser');
+
+const sample = (p, y, price = null) => ({ p, y, formValid: true, strict: false, dq: 80, settled: true, priced: price != null, profit: price != null ? (y ? price - 1 : -1) : null });
+const t = { minProb: 0.6, mediumProb: 0.6, strictBonus: 0.05 };
+
+test('ROI only counts picks with a bookmaker price', () => {
+  const r = evaluate([sample(0.7, 1, 2.0), sample(0.7, 0, 2.0), sample(0.8, 1), sample(0.9, 1), sample(0.5, 0, 2.0)], t);
+  assert.equal(r.picks, 4);
+  assert.equal(r.priced, 2);
+  assert.equal(r.hit_rate, 0.75);
+  assert.equal(r.roi, 0);
+});
+
+test('ROI is null when nothing was priced', () => {
+  const r = evaluate([sample(0.7, 1), sample(0.8, 0)], t);
+  assert.equal(r.roi, null);
+  assert.equal(r.hit_rate, 0.5);
+});
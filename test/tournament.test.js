@@ -0,0 +1,43 @@
+require('./env');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { groupStandings } = require('../tournament');
+
+const past = '2026-06-01T18:00:00Z';
+const asOf = new Date('2026-07-01T00:00:00Z');
+const ft = (home_team, away_team, home_goals, away_goals) => ({ home_team, away_team, home_goals, away_goals, status: 'FT', match_date: past });
+const ns = (home_team, away_team) => ({ home_team, away_team, status: 'NS', match_date: '2026-07-10T18:00:00Z' });
+
+test('head-to-head decides sides level on points before goal difference', () => {
+  // B has the better overall goal difference but lost to A.
+  const table = groupStandings([
+    ft('A', 'B', 1, 0), ft('C', 'D', 0, 0),
+    ft('A', 'C', 0, 1), ft('B', 'D', 5, 0),
+    ft('A', 'D', 1, 0), ft('B', 'C', 1, 0)
+  ], 2, asOf);
+  assert.deepEqual(table.map(r => r.team), ['A', 'B', 'C', 'D']);
+  assert.equal(table[0].points, table[1].points);
+  assert.deepEqual(table.map(r => r.status), ['QUALIFIED', 'QUALIFIED', 'ELIMINATED', 'ELIMINATED']);
+});
+
+test('identical records fall back to the team name', () => {
+  const fixtures = [ft('Zed', 'Alp', 1, 1), ft('Alp', 'Zed', 1, 1)];
+  assert.deepEqual(groupStandings(fixtures, 1, asOf).map(r => r.team), ['Alp', 'Zed']);
+  const table = groupStandings([...fixtures].reverse(), 1, asOf);
+  assert.deepEqual(table.map(r => r.team), ['Alp', 'Zed']);
+  assert.deepEqual(table.map(r => r.status), ['QUALIFIED', 'ELIMINATED']);
+});
+
+test('a tie on points that can still change counts against the team', () => {
+  const table = groupStandings([
+    ft('A', 'B', 2, 0), ft('C', 'D', 2, 0),
+    ft('A', 'C', 0, 0), ft('B', 'D', 0, 0),
+    ns('A', 'D'), ft('B', 'C', 0, 1)
+  ], 2, asOf);
+  const byTeam = Object.fromEntries(table.map(r => [r.team, r]));
+  assert.equal(byTeam.C.status, 'QUALIFIED');
+  // D can still draw level with A by beating it
+  assert.equal(byTeam.A.status, 'ALIVE');
+  assert.equal(byTeam.D.status, 'ALIVE');
+  assert.equal(byTeam.B.status, 'ELIMINATED');
+});
@@ -0,0 +1,191 @@
+const { replaySeason } = require('./backtest');
+const { MARKETS, OUTCOME_VALUE, HIGH_CONFIDENCE_PROB, MEDIUM_CONFIDENCE_PROB, settleMarket, settlementProfit } = require('./markets');
+const { getMarketThresholds, setThreshold } = require('./market_thresholds');
+
+// Searches pick thresholds per market against a walk-forward replay of a
+// competition. The entry cut-off (minProb, with mediumProb tied to it so the
+// confidence rule never filters on its own) is chosen first, then the HIGH
+// cut-off among the picks that clear it. Walk-forward validation: the
+// match days are split into FOLDS + 1 consecutive blocks and each block from
+// the second on is scored with thresholds fitted only on the blocks before
+// it, next to the current thresholds on the same block. The replay applies
+// the current calibration maps, as the live engine does, so thresholds are
+// searched on the probability scale they will be compared against.
+
+const TARGETS = ['hit_rate', 'roi'];
+const DEFAULT_FOLDS = 4;
+const DEFAULT_MIN_PICKS = 20;
+const HIGH_DATA_QUALITY = 70; // confidenceFor only grants HIGH from 70% data quality
+const MIN_VALIDATION_PICKS = 10;
+const MIN_PRICED_SAMPLES = 200; // below this target 'roi' is refused
+
+function gridFor(cfg) {
+  const lo = cfg.correctScore ? 0.05 : 0.30;
+  const hi = cfg.correctScore ? 0.40 : 0.97;
+  const out = [];
+  for (let t = lo; t <= hi + 1e-9; t += 0.01) out.push(parseFloat(t.toFixed(2)));
+  return out;
+}
+
+// One sample per listed market per predicted fixture. Profit is per unit at
+// the bookmaker price and only exists where one was quoted: at the model's
+// own fair odds every threshold would look break-even.
+async function collectSamples(params) {
+  const samples = [];
+  const meta = await replaySeason({ ...params, calibrate: true }, (day, asOf, entries) => {
+    for (const { fixture: f, prediction: pred } of entries) {
+      for (const p of pred.all_predictions || []) {
+        if (p.combo) continue; // combos are listed, never picked
+        const result = settleMarket(p.marketCode, f.home_goals, f.away_goals);
+        samples.push({
+          day, fixture: f.id, market: p.marketCode, p: p.probability, calibrated: !!p.calibrated, formValid: p.formValid,
+          strict: pred.strict_mode, dq: pred.data_quality,
+          settled: result in OUTCOME_VALUE, y: OUTCOME_VALUE[result] || 0,
+          priced: p.price != null, profit: p.price != null ? settlementProfit(result, p.price) : null
+        });
+      }
+    }
+  });
+  return { samples, meta };
+}
+
+// ROI is over the settled picks that had a bookmaker price (`priced`).
+function evaluate(samples, t, high = null) {
+  let picks = 0, settled = 0, priced = 0, won = 0, profit = 0;
+  for (const s of samples) {
+    if (!s.formValid) continue;
+    if (s.p < Math.max(t.minProb + (s.strict ? t.strictBonus : 0), t.mediumProb)) continue;
+    if (high != null && (s.p < high || s.dq < HIGH_DATA_QUALITY)) continue;
+    picks++;
+    if (s.settled) { settled++; won += s.y; }
+    if (s.settled && s.priced) { priced++; profit += s.profit; }
+  }
+  return { picks, settled, priced, hit_rate: settled > 0 ? won / settled : null, roi: priced > 0 ? profit / priced : null };
+}
+
+// Picks counted towards a target's minimum: ROI needs priced ones.
+const volume = (r, target) => target === 'roi' ? r.priced : r.picks;
+
+// Best grid value by `target` among those with at least `minPicks` picks;
+// ties go to the larger pick volume.
+function search(grid, minPicks, target, score) {
+  let best = null;
+  for (const v of grid) {
+    const r = score(v);
+    if (volume(r, target) < minPicks || r[target] == null) continue;
+    if (!best || r[target] > best.result[target] + 1e-12 || (Math.abs(r[target] - best.result[target]) <= 1e-12 && r.picks > best.result.picks)) {
+      best = { value: v, result: r };
+    }
+  }
+  return best;
+}
+
+function fit(samples, cfg, current, target, minPicks) {
+  const entry = search(gridFor(cfg), minPicks, target,
+    v => evaluate(samples, { minProb: v, mediumProb: v, strictBonus: current.strictBonus }));
+  if (!entry) return null;
+  const t = { minProb: entry.value, mediumProb: entry.value, strictBonus: current.strictBonus };
+  const high = search(gridFor(cfg).filter(v => v > entry.value), Math.max(Math.ceil(minPicks / 2), 5), target,
+    v => evaluate(samples, t, v));
+  return { ...t, highProb: high ? high.value : Math.max(current.highProb, entry.value), result: entry.result };
+}
+
+function round(r) {
+  return {
+    picks: r.picks, settled: r.settled, priced: r.priced,
+    hit_rate: r.hit_rate != null ? parseFloat((r.hit_rate * 100).toFixed(1)) : null,
+    roi: r.roi != null ? parseFloat((r.roi * 100).toFixed(1)) : null
+  };
+}
+
+function pool(results) {
+  let picks = 0, settled = 0, priced = 0, won = 0, profit = 0;
+  for (const r of results) {
+    picks += r.picks; settled += r.settled; priced += r.priced;
+    if (r.settled > 0) won += r.hit_rate * r.settled;
+    if (r.priced > 0) profit += r.roi * r.priced;
+  }
+  return { picks, settled, priced, hit_rate: settled > 0 ? won / settled : null, roi: priced > 0 ? profit / priced : null };
+}
+
+async function optimiseThresholds({ competition, season = null, from = null, to = null, model = null, target = 'hit_rate', folds = DEFAULT_FOLDS, minPicks = DEFAULT_MIN_PICKS, markets = null }) {
+  if (!TARGETS.includes(target)) throw Object.assign(new Error('Invalid target: ' + target), { status: 400, available: TARGETS });
+  const { samples, meta } = await collectSamples({ competition, season, from, to, model });
+  const pricedSamples = samples.filter(s => s.priced).length;
+  if (target === 'roi' && pricedSamples < MIN_PRICED_SAMPLES) {
+    throw Object.assign(new Error('target roi needs at least ' + MIN_PRICED_SAMPLES + ' samples with bookmaker prices, found ' + pricedSamples + '; import odds or use target hit_rate'), { status: 400 });
+  }
+  const current = await getMarketThresholds(competition);
+  const days = [...new Set(samples.map(s => s.day))].sort();
+  const blockSize = Math.ceil(days.length / (folds + 1));
+  const blockOf = new Map(days.map((d, i) => [d, Math.floor(i / blockSize)]));
+  const fixturesPredicted = new Set(samples.map(s => s.fixture)).size;
+
+  const byMarket = {};
+  for (const s of samples) (byMarket[s.market] = byMarket[s.market] || []).push(s);
+
+  const results = [];
+  for (const [code, rows] of Object.entries(byMarket)) {
+    if (markets && !markets.includes(code)) continue;
+    const cfg = MARKETS[code];
+    const cur = {
+      minProb: current[code].minProb, strictBonus: current[code].strictBonus,
+      mediumProb: current[code].mediumProb != null ? current[code].mediumProb : MEDIUM_CONFIDENCE_PROB,
+      highProb: current[code].highProb != null ? current[code].highProb : HIGH_CONFIDENCE_PROB
+    };
+
+    const validation = [];
+    const baseline = [];
+    for (let b = 1; b <= folds; b++) {
+      const train = rows.filter(s => blockOf.get(s.day) < b);
+      const test = rows.filter(s => blockOf.get(s.day) === b);
+      if (test.length === 0) continue;
+      const share = train.length / rows.length;
+      const fitted = fit(train, cfg, cur, target, Math.max(Math.round(minPicks * share), 5));
+      if (fitted) validation.push(evaluate(test, fitted));
+      baseline.push(evaluate(test, cur));
+    }
+
+    const full = fit(rows, cfg, cur, target, minPicks);
+    if (!full) continue;
+    const wf = pool(validation);
+    const base = pool(baseline);
+    results.push({
+      market: code, name: cfg.name,
+      calibrated: rows.some(s => s.calibrated),
+      current: { min_prob: cur.minProb, medium_prob: cur.mediumProb, high_prob: cur.highProb, source: current[code].source },
+      recommended: { min_prob: full.minProb, medium_prob: full.mediumProb, high_prob: full.highProb },
+      in_sample: round(full.result),
+      walk_forward: round(wf),
+      baseline_walk_forward: round(base),
+      expected_picks_per_matchday: parseFloat((full.result.picks / days.length).toFixed(2)),
+      expected_picks_per_100_fixtures: fixturesPredicted > 0 ? parseFloat((full.result.picks / fixturesPredicted * 100).toFixed(1)) : null,
+      improves: volume(wf, target) >= MIN_VALIDATION_PICKS && wf[target] != null && (base[target] == null || wf[target] > base[target])
+    });
+  }
+  const metric = (r) => r.walk_forward[target] != null ? r.walk_forward[target] : -Infinity;
+  results.sort((a, b) => metric(b) - metric(a));
+
+  return {
+    competition, season, target, folds, min_picks: minPicks, ...meta,
+    samples: samples.length,
+    priced_samples: pricedSamples,
+    recommended: results.filter(r => r.improves).length,
+    markets: results
+  };
+}
+
+// Writes the recommended set into market_thresholds (audited like any other
+// admin change). Only markets that beat the current thresholds out of sample
+// are promoted unless `markets` names them explicitly.
+async function promoteThresholds(competition, optimisation, changedBy, markets = null) {
+  const chosen = optimisation.markets.filter(r => markets ? markets.includes(r.market) : r.improves);
+  const promoted = [];
+  for (const r of chosen) {
+    await setThreshold(competition, r.market, r.recommended, changedBy);
+    promoted.push({ market: r.market, ...r.recommended });
+  }
+  return promoted;
+}
+
+module.exports = { TARGETS, MIN_PRICED_SAMPLES, collectSamples, evaluate, optimiseThresholds, promoteThresholds };
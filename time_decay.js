@@ -0,0 +1,120 @@
+const { getFinishedFixtures } = require('./fixture_queries');
+
+// Half-life in days for each competition's match weights. A match this many
+// days old counts half as much as one played today. Override per competition
+// with HALF_LIFE_DAYS_<CODE> (e.g. HALF_LIFE_DAYS_PL=120) in .env.
+const HALF_LIFE_DAYS = {
+  'PL': 180, 'PD': 180, 'BL1': 180, 'SA': 180, 'FL1': 180,
+  'DED': 150, 'PPL': 150, 'ELC': 150, 'BSA': 120,
+  'CL': 365, 'EL': 365, 'EC': 730, 'WC': 730
+};
+const DEFAULT_HALF_LIFE_DAYS = 180;
+const DECAY_LOOKBACK_DAYS = 730;
+const DECAY_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+
+const fixtureCache = new Map();
+
+function getHalfLife(competition) {
+  const override = parseFloat(process.env['HALF_LIFE_DAYS_' + competition]);
+  if (override > 0) return override;
+  return HALF_LIFE_DAYS[competition] || DEFAULT_HALF_LIFE_DAYS;
+}
+
+function decayWeight(matchDate, asOf, halfLifeDays) {
+  const ageDays = Math.max((new Date(asOf) - new Date(matchDate)) / 86400000, 0);
+  return Math.pow(0.5, ageDays / halfLifeDays);
+}
+
+// Kish effective sample size: how many equally weighted matches the
+// weighted sample is worth.
+function effectiveSampleSize(weights) {
+  const sum = weights.reduce((s, w) => s + w, 0);
+  const sumSq = weights.reduce((s, w) => s + w * w, 0);
+  return sumSq > 0 ? (sum * sum) / sumSq : 0;
+}
+
+function weightFixtures(fixtures, competition, asOf = new Date()) {
+  const halfLife = getHalfLife(competition);
+  return fixtures.map(f => ({ ...f, weight: decayWeight(f.match_date, asOf, halfLife) }));
+}
+
+async function getWeightedFixtures(competition) {
+  const cached = fixtureCache.get(competition);
+  if (cached && Date.now() - cached.time < DECAY_CACHE_TTL) return cached.fixtures;
+
+  const since = new Date(); since.setDate(since.getDate() - DECAY_LOOKBACK_DAYS);
+  let data;
+  try {
+    data = await getFinishedFixtures({ competition, since, columns: 'home_team, away_team, home_goals, away_goals, match_date, season' });
+  } catch (e) { console.error('Weighted fixtures error:', e.message); return null; }
+
+  const fixtures = weightFixtures(data, competition);
+  fixtureCache.set(competition, { fixtures, time: Date.now() });
+  return fixtures;
+}
+
+// Time-weighted equivalents of the team_stats averages, in the same field
+// names so the engine can use either source interchangeably.
+function buildWeightedStrengths(fixtures, competition) {
+  const rows = fixtures.filter(f => f.home_goals != null && f.away_goals != null);
+  if (rows.length === 0) return null;
+  const halfLife = getHalfLife(competition);
+
+  const acc = {};
+  const init = () => ({ games: 0, weights: [], w: 0, gf: 0, ga: 0, hw: 0, hgf: 0, hga: 0, aw: 0, agf: 0, aga: 0 });
+  let lw = 0, lh = 0, la = 0;
+  for (const f of rows) {
+    const w = f.weight != null ? f.weight : 1;
+    if (!acc[f.home_team]) acc[f.home_team] = init();
+    if (!acc[f.away_team]) acc[f.away_team] = init();
+    const h = acc[f.home_team], a = acc[f.away_team];
+    h.games++; h.weights.push(w); h.w += w; h.gf += w * f.home_goals; h.ga += w * f.away_goals;
+    h.hw += w; h.hgf += w * f.home_goals; h.hga += w * f.away_goals;
+    a.games++; a.weights.push(w); a.w += w; a.gf += w * f.away_goals; a.ga += w * f.home_goals;
+    a.aw += w; a.agf += w * f.away_goals; a.aga += w * f.home_goals;
+    lw += w; lh += w * f.home_goals; la += w * f.away_goals;
+  }
+
+  const teams = {};
+  for (const [name, t] of Object.entries(acc)) {
+    const ess = effectiveSampleSize(t.weights);
+    teams[name] = {
+      team_name: name,
+      games_played: t.games,
+      effective_games: parseFloat(ess.toFixed(2)),
+      avg_goals_for: t.w > 0 ? t.gf / t.w : 0,
+      avg_goals_against: t.w > 0 ? t.ga / t.w : 0,
+      home_avg_goals_for: t.hw > 0 ? t.hgf / t.hw : 0,
+      home_avg_goals_against: t.hw > 0 ? t.hga / t.hw : 0,
+      away_avg_goals_for: t.aw > 0 ? t.agf / t.aw : 0,
+      away_avg_goals_against: t.aw > 0 ? t.aga / t.aw : 0,
+      data_source: 'time-weighted (' + t.games + ' games, ESS ' + ess.toFixed(1) + ')'
+    };
+  }
+
+  const league = lw > 0 ? {
+    avgHomeGoalsFor: lh / lw,
+    avgHomeGoalsAgainst: la / lw,
+    avgAwayGoalsFor: la / lw,
+    avgAwayGoalsAgainst: lh / lw,
+    source: 'time-weighted (' + rows.length + ' matches, half-life ' + halfLife + 'd, ESS ' + effectiveSampleSize(rows.map(f => f.weight != null ? f.weight : 1)).toFixed(0) + ')'
+  } : null;
+
+  return { teams, league, half_life_days: halfLife };
+}
+
+async function getTimeWeightedStrengths(competition) {
+  const fixtures = await getWeightedFixtures(competition);
+  if (!fixtures || fixtures.length === 0) return null;
+  return buildWeightedStrengths(fixtures, competition);
+}
+
+function invalidateWeightedFixtures(competition) {
+  if (competition) fixtureCache.delete(competition);
+  else fixtureCache.clear();
+}
+
+module.exports = {
+  HALF_LIFE_DAYS, DECAY_LOOKBACK_DAYS, getHalfLife, decayWeight, effectiveSampleSize, weightFixtures,
+  getWeightedFixtures, buildWeightedStrengths, getTimeWeightedStrengths, invalidateWeightedFixtures
+};
@@ -0,0 +1,206 @@
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { getFinishedFixtures } = require('./fixture_queries');
+const { weightFixtures, buildWeightedStrengths } = require('./time_decay');
+const { computeEloRatings } = require('./elo_ratings');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_ANON_KEY
+);
+
+// Tournament mode. National-team competitions are played at neutral venues
+// (hosts excepted) and are rated from every national-team result we hold,
+// since a World Cup alone gives each side three or four matches. Club
+// tournaments keep home advantage except where a fixture is flagged neutral
+// (finals). Group fixtures get the standings context: a side that has
+// already qualified, or is already out, tends to rotate.
+
+const NATIONAL_TEAM_COMPETITIONS = ['WC', 'EC', ...(process.env.INTERNATIONAL_COMPETITIONS || '').split(',').map(c => c.trim()).filter(Boolean)];
+const TOURNAMENT_COMPETITIONS = ['WC', 'EC', 'CL', 'EL'];
+const TOURNAMENT_HOSTS = { 'WC': ['USA', 'United States', 'Mexico', 'Canada'] };
+const NEUTRAL_STAGES = ['FINAL'];
+const GROUP_QUALIFIERS = { 'WC': 2, 'EC': 2, 'CL': 2, 'EL': 2 };
+const INTERNATIONAL_ELO_K = 40;          // few matches a year, so ratings must move faster
+const CONTEXT_STRENGTH = process.env.TOURNAMENT_CONTEXT_STRENGTH != null ? parseFloat(process.env.TOURNAMENT_CONTEXT_STRENGTH) : 0.08;
+const INTERNATIONAL_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+let internationalCache = null;
+
+const isNationalTeam = (competition) => NATIONAL_TEAM_COMPETITIONS.includes(competition);
+const isTournament = (competition) => TOURNAMENT_COMPETITIONS.includes(competition) || isNationalTeam(competition);
+
+// Default neutral flag for a new fixture row.
+function defaultNeutral(competition, homeTeam, stage = null) {
+  if (isNationalTeam(competition)) return !(TOURNAMENT_HOSTS[competition] || []).includes(homeTeam);
+  return isTournament(competition) && NEUTRAL_STAGES.includes(stage);
+}
+
+// The fixture's own flag wins; without one, national-team games are neutral.
+function isNeutral(competition, flag) {
+  return flag != null ? !!flag : isNationalTeam(competition);
+}
+
+// predictMatch options carried by a fixture row.
+function fixtureOptions(fixture) {
+  return {
+    kickoff: fixture.match_date, neutral: fixture.neutral_venue,
+    group: fixture.group_name || null, stage: fixture.stage || null, season: fixture.season || null
+  };
+}
+
+// At a neutral ground the venue split means nothing; both sides use their
+// overall averages.
+function neutralStats(stats) {
+  if (!stats) return stats;
+  return {
+    ...stats,
+    home_avg_goals_for: stats.avg_goals_for, home_avg_goals_against: stats.avg_goals_against,
+    away_avg_goals_for: stats.avg_goals_for, away_avg_goals_against: stats.avg_goals_against
+  };
+}
+
+// Team strengths and Elo ratings from all national-team results, in the
+// getTeamStrengths shape so the engine can use them directly.
+function buildInternationalStrengths(fixtures, asOf = new Date()) {
+  if (fixtures.length === 0) return null;
+  const base = buildWeightedStrengths(weightFixtures(fixtures, 'WC', asOf), 'WC');
+  const { ratings } = computeEloRatings(fixtures, INTERNATIONAL_ELO_K);
+  const perTeam = (base.league.avgHomeGoalsFor + base.league.avgAwayGoalsFor) / 2;
+  const teams = {};
+  for (const [name, t] of Object.entries(base.teams)) {
+    teams[name] = {
+      ...neutralStats(t),
+      rating: ratings[name] ? ratings[name].rating : null,
+      data_source: 'international (' + t.games_played + ' games, ESS ' + t.effective_games.toFixed(1) + ')'
+    };
+  }
+  return {
+    teams,
+    league: {
+      avgHomeGoalsFor: perTeam, avgHomeGoalsAgainst: perTeam, avgAwayGoalsFor: perTeam, avgAwayGoalsAgainst: perTeam,
+      source: 'international (' + fixtures.length + ' matches)'
+    },
+    ratings,
+    half_life_days: base.half_life_days
+  };
+}
+
+async function getInternationalStrengths() {
+  if (internationalCache && Date.now() - internationalCache.time < INTERNATIONAL_CACHE_TTL) return internationalCache.strengths;
+  const fixtures = await getFinishedFixtures({ competition: NATIONAL_TEAM_COMPETITIONS });
+  const strengths = buildInternationalStrengths(fixtures);
+  internationalCache = { strengths, time: Date.now() };
+  return strengths;
+}
+
+function invalidateInternationalStrengths() {
+  internationalCache = null;
+}
+
+// Group order: points, then points, goal difference and goals in the
+// matches between the sides level on points, then overall goal difference
+// and goals, then name, so the order never depends on input order.
+function groupComparator(rows, results) {
+  const gd = (r) => r.goals_for - r.goals_against;
+  const level = {};
+  for (const r of rows) (level[r.points] = level[r.points] || []).push(r.team);
+  const mini = {};
+  for (const tied of Object.values(level)) {
+    if (tied.length < 2) continue;
+    for (const t of tied) mini[t] = { points: 0, goals_for: 0, goals_against: 0 };
+    for (const f of results) {
+      if (!tied.includes(f.home_team) || !tied.includes(f.away_team)) continue;
+      const h = mini[f.home_team], a = mini[f.away_team];
+      h.goals_for += f.home_goals; h.goals_against += f.away_goals;
+      a.goals_for += f.away_goals; a.goals_against += f.home_goals;
+      h.points += f.home_goals > f.away_goals ? 3 : f.home_goals === f.away_goals ? 1 : 0;
+      a.points += f.away_goals > f.home_goals ? 3 : f.home_goals === f.away_goals ? 1 : 0;
+    }
+  }
+  const headToHead = (x, y) => mini[x.team] && mini[y.team]
+    ? mini[y.team].points - mini[x.team].points || gd(mini[y.team]) - gd(mini[x.team]) || mini[y.team].goals_for - mini[x.team].goals_for : 0;
+  return (x, y) => y.points - x.points || headToHead(x, y) || gd(y) - gd(x) || y.goals_for - x.goals_for || x.team.localeCompare(y.team);
+}
+
+// Table of one group plus what each side can still achieve: QUALIFIED when
+// too few rivals can still finish above it, ELIMINATED when too many already
+// will, else ALIVE. Two sides whose order can no longer change (neither has
+// a match left and nobody still playing can join them on points) are
+// compared with the group tiebreakers; any other tie on points counts
+// against the team, so the verdicts are conservative.
+function groupStandings(fixtures, qualifiers, asOf = new Date()) {
+  const table = {};
+  const results = [];
+  const row = (name) => table[name] = table[name] || { team: name, played: 0, points: 0, goals_for: 0, goals_against: 0, remaining: 0 };
+  for (const f of fixtures) {
+    const h = row(f.home_team), a = row(f.away_team);
+    const done = f.status === 'FT' && f.home_goals != null && new Date(f.match_date) < new Date(asOf);
+    if (!done) { h.remaining++; a.remaining++; continue; }
+    results.push(f);
+    h.played++; a.played++;
+    h.goals_for += f.home_goals; h.goals_against += f.away_goals;
+    a.goals_for += f.away_goals; a.goals_against += f.home_goals;
+    h.points += f.home_goals > f.away_goals ? 3 : f.home_goals === f.away_goals ? 1 : 0;
+    a.points += f.away_goals > f.home_goals ? 3 : f.home_goals === f.away_goals ? 1 : 0;
+  }
+  const rows = Object.values(table);
+  const compare = groupComparator(rows, results);
+  for (const r of rows) r.max_points = r.points + 3 * r.remaining;
+  const final = (x, y) => x.remaining === 0 && y.remaining === 0 &&
+    !rows.some(o => o.remaining > 0 && o.points <= x.points && o.max_points >= x.points);
+  for (const r of rows) {
+    const others = rows.filter(o => o !== r);
+    const canCatch = others.filter(o => o.points === r.points && final(o, r) ? compare(o, r) < 0 : o.max_points >= r.points).length;
+    const ahead = others.filter(o => o.points === r.max_points && final(o, r) ? compare(o, r) < 0 : o.points > r.max_points).length;
+    r.status = canCatch < qualifiers ? 'QUALIFIED' : ahead >= qualifiers ? 'ELIMINATED' : 'ALIVE';
+  }
+  return rows.sort(compare).map((r, i) => ({ position: i + 1, ...r }));
+}
+
+async function getGroupFixtures(competition, group, season = null) {
+  let query = supabase.from('fixtures').select('*').eq('competition_code', competition).eq('group_name', group);
+  if (season) query = query.eq('season', season);
+  const { data, error } = await query.order('match_date', { ascending: true });
+  if (error) throw error;
+  return (data || []).filter(f => !['POSTPONED', 'CANCELLED'].includes(f.status));
+}
+
+async function getGroupTables(competition, season = null) {
+  let query = supabase.from('fixtures').select('*').eq('competition_code', competition).not('group_name', 'is', null);
+  if (season) query = query.eq('season', season);
+  const { data, error } = await query.order('match_date', { ascending: true });
+  if (error) throw error;
+  const groups = {};
+  for (const f of data || []) (groups[f.group_name] = groups[f.group_name] || []).push(f);
+  const qualifiers = GROUP_QUALIFIERS[competition] || 2;
+  return Object.keys(groups).sort().map(name => ({ group: name, qualifiers, standings: groupStandings(groups[name], qualifiers) }));
+}
+
+// Standings rows for both sides and the expected-goals factors when one of
+// them has nothing left to play for and the other has: the settled side
+// scores exp(-strength) and concedes exp(strength / 2) times as much.
+async function getGroupContext(competition, group, homeTeam, awayTeam, { season = null, asOf = new Date(), strength = CONTEXT_STRENGTH } = {}) {
+  if (!group) return null;
+  try {
+    const standings = groupStandings(await getGroupFixtures(competition, group, season), GROUP_QUALIFIERS[competition] || 2, asOf);
+    const home = standings.find(r => r.team === homeTeam) || null;
+    const away = standings.find(r => r.team === awayTeam) || null;
+    if (!home || !away) return null;
+    const settled = (r) => r.status !== 'ALIVE';
+    let adjustment = null;
+    if (strength && settled(home) !== settled(away)) {
+      adjustment = settled(home)
+        ? { settled: 'home', home_factor: Math.exp(-strength), away_factor: Math.exp(strength / 2) }
+        : { settled: 'away', home_factor: Math.exp(strength / 2), away_factor: Math.exp(-strength) };
+    }
+    return { group, home, away, adjustment };
+  } catch (e) { console.error('Group context error:', e.message); return null; }
+}
+
+module.exports = {
+  NATIONAL_TEAM_COMPETITIONS, TOURNAMENT_COMPETITIONS, GROUP_QUALIFIERS, CONTEXT_STRENGTH,
+  isNationalTeam, isTournament, defaultNeutral, isNeutral, fixtureOptions, neutralStats,
+  buildInternationalStrengths, getInternationalStrengths, invalidateInternationalStrengths,
+  groupStandings, getGroupTables, getGroupContext
+};